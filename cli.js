@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+/**
+ * Command-line tournament runner
+ * Plays a roster file through the engine without any animation and prints the
+ * final standings, for organisers who only need the results, e.g.
+ *
+ *   node cli.js section-3.csv --format swiss --start "2025-03-01 9:00 AM" --json results.json
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+  Tournament,
+  FileSource,
+  TOURNAMENT_FORMATS,
+  Standings,
+  TIEBREAKERS,
+  RULE_SETS,
+  MovePolicy,
+  MOVE_POLICIES,
+  SubmissionWindow,
+  ResultsExporter,
+  RosterError
+} from './js/engine.js';
+
+/**
+ * Exit status of a run
+ * @type {Object.<string, number>}
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1, // The run stopped on an unexpected error
+  USAGE: 2, // Unknown or invalid options
+  UNREADABLE: 3, // The roster file could not be read or parsed
+  INVALID_ROSTER: 4 // The roster cannot make a tournament, or has issues and --strict is set
+};
+
+const USAGE = `Usage: node cli.js <roster.csv|roster.tsv|roster.json> [options]
+
+Plays every match instantly and prints the final standings.
+
+Submissions
+  --start "YYYY-MM-DD [time]"  Leave out submissions stamped before this
+  --end "YYYY-MM-DD [time]"    Leave out submissions stamped after this (the whole day without a time)
+  --time-zone <zone>           IANA time zone of the timestamps, e.g. America/New_York (default: local)
+  --date-order <order>         auto, mdy or dmy (default: auto)
+  --duplicates <policy>        latest, earliest or rename duplicate names (default: latest)
+  --strict                     Stop when the roster has issues instead of playing it as is
+
+Tournament
+  --format <format>            ${Object.keys(TOURNAMENT_FORMATS).join(", ")} (default: round-robin)
+  --seeding <order>            sheet, random or rating (default: sheet)
+  --tie-rule <rule>            Knockout ties: first-round, seed or coin (default: first-round)
+  --swiss-rounds <n>           Swiss rounds (default: enough to find a winner)
+  --skip-same-team             Don't pair teammates
+  --teams                      Keep team standings
+  --rules <rules>              ${Object.keys(RULE_SETS).join(", ")} (default: rps)
+  --move-policy <policy>       ${Object.keys(MOVE_POLICIES).join(", ")} (default: shortest)
+  --rounds <n>                 Round count for the fixed and cycle move policies
+  --points <win/tie/loss>      Points system (default: 3/1/0)
+  --tiebreaks <list>           Comma-separated chain of ${Object.keys(TIEBREAKERS).join(", ")}
+  --tie-resolution <mode>      co-champions or playoff (default: co-champions)
+  --seed <n>                   Seed for random seeding and coin flips
+
+Output
+  --json <file>                Write the results as JSON
+  --csv <file>                 Write the standings as CSV
+  --matches-csv <file>         Write each player's matches as CSV
+  --log <file>                 Write the full round-by-round replay log
+  --quiet                      Don't print the standings
+  --verbose                    Print the engine's diagnostics to stderr
+  --help                       Show this help
+
+Exit codes
+  0 finished, 1 unexpected error, 2 invalid options, 3 unreadable roster,
+  4 roster failed validation`;
+
+const OPTIONS = {
+  start: { type: 'string' },
+  end: { type: 'string' },
+  'time-zone': { type: 'string', default: 'local' },
+  'date-order': { type: 'string', default: 'auto' },
+  duplicates: { type: 'string', default: 'latest' },
+  strict: { type: 'boolean', default: false },
+  format: { type: 'string', default: 'round-robin' },
+  seeding: { type: 'string', default: 'sheet' },
+  'tie-rule': { type: 'string', default: 'first-round' },
+  'swiss-rounds': { type: 'string' },
+  'skip-same-team': { type: 'boolean', default: false },
+  teams: { type: 'boolean', default: false },
+  rules: { type: 'string', default: 'rps' },
+  'move-policy': { type: 'string', default: 'shortest' },
+  rounds: { type: 'string' },
+  points: { type: 'string', default: '3/1/0' },
+  tiebreaks: { type: 'string' },
+  'tie-resolution': { type: 'string', default: 'co-champions' },
+  seed: { type: 'string' },
+  json: { type: 'string' },
+  csv: { type: 'string' },
+  'matches-csv': { type: 'string' },
+  log: { type: 'string' },
+  quiet: { type: 'boolean', default: false },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Thrown for command-line options that cannot be used
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Checks that an option has one of the allowed values
+ * @param {string} option - Option name, for the message
+ * @param {string} value - Given value
+ * @param {Array<string>} allowed - Allowed values
+ * @returns {string} The value
+ * @throws {UsageError} If the value is not allowed
+ */
+function oneOf(option, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new UsageError(`--${option} must be one of ${allowed.join(", ")}, got "${value}"`);
+  }
+  return value;
+}
+
+/**
+ * Reads a positive whole number option
+ * @param {string} option - Option name, for the message
+ * @param {string|undefined} value - Given value
+ * @returns {number|null} The number, null when the option is not given
+ * @throws {UsageError} If the value is not a positive whole number
+ */
+function count(option, value) {
+  if (value === undefined) return null;
+  if (!/^\d+$/.test(value) || parseInt(value, 10) === 0) {
+    throw new UsageError(`--${option} must be a positive whole number, got "${value}"`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Splits a "YYYY-MM-DD [time]" boundary into the date and time fields of the form
+ * @param {string} option - Option name, for the message
+ * @param {string|undefined} value - Given value
+ * @returns {{date: string, time: string}}
+ * @throws {UsageError} If the date is not written as YYYY-MM-DD
+ */
+function boundary(option, value) {
+  if (value === undefined) return { date: "", time: "" };
+  const match = value.trim().match(/^(\d{4}-\d{2}-\d{2})(?:[T\s]+(.+))?$/);
+  if (!match) {
+    throw new UsageError(`--${option} must be a date written as YYYY-MM-DD, optionally followed by a time, got "${value}"`);
+  }
+  return { date: match[1], time: match[2] || "" };
+}
+
+/**
+ * Turns command-line arguments into the roster path and tournament settings
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{help: boolean, rosterPath: string, settings: Object, strict: boolean, outputs: Object, quiet: boolean, verbose: boolean}}
+ * @throws {UsageError} If an option is unknown or invalid
+ */
+export function parseOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  if (positionals.length !== 1) {
+    throw new UsageError(positionals.length === 0 ? "Give the roster file to play" : `Expected one roster file, got ${positionals.length}`);
+  }
+
+  const timeZone = values['time-zone'];
+  if (timeZone !== 'local') {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+      throw new UsageError(`--time-zone must be an IANA time zone such as Europe/London, got "${timeZone}"`);
+    }
+  }
+  const start = boundary('start', values.start);
+  const end = boundary('end', values.end);
+  let submissionWindow;
+  try {
+    submissionWindow = SubmissionWindow.fromFields({
+      startDate: start.date,
+      startTime: start.time,
+      endDate: end.date,
+      endTime: end.time,
+      timeZone,
+      dateOrder: oneOf('date-order', values['date-order'], ['auto', 'mdy', 'dmy'])
+    });
+  } catch (error) {
+    throw new UsageError(`Invalid submission window: ${error.message}`);
+  }
+
+  const formatKey = oneOf('format', values.format, Object.keys(TOURNAMENT_FORMATS));
+  const format = new TOURNAMENT_FORMATS[formatKey]({
+    seeding: oneOf('seeding', values.seeding, ['sheet', 'random', 'rating']),
+    tieRule: oneOf('tie-rule', values['tie-rule'], ['first-round', 'seed', 'coin']),
+    rounds: count('swiss-rounds', values['swiss-rounds']),
+    skipSameTeam: values['skip-same-team']
+  });
+
+  let points;
+  try {
+    points = Standings.parsePoints(values.points);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const tiebreaks = values.tiebreaks?.split(",").map(key => key.trim()).filter(Boolean);
+  for (const key of tiebreaks || []) {
+    oneOf('tiebreaks', key, Object.keys(TIEBREAKERS));
+  }
+
+  if (values.seed !== undefined && !/^\d+$/.test(values.seed)) {
+    throw new UsageError(`--seed must be a whole number, got "${values.seed}"`);
+  }
+
+  return {
+    help: false,
+    rosterPath: positionals[0],
+    settings: {
+      submissionWindow,
+      duplicatePolicy: oneOf('duplicates', values.duplicates, ['latest', 'earliest', 'rename']),
+      format,
+      standings: new Standings({ points, ...(tiebreaks && { tiebreaks }) }),
+      tieResolution: oneOf('tie-resolution', values['tie-resolution'], ['co-champions', 'playoff']),
+      ruleSet: RULE_SETS[oneOf('rules', values.rules, Object.keys(RULE_SETS))],
+      movePolicy: new MovePolicy({
+        type: oneOf('move-policy', values['move-policy'], Object.keys(MOVE_POLICIES)),
+        rounds: count('rounds', values.rounds)
+      }),
+      teamMode: values.teams,
+      ...(values.seed !== undefined && { seed: parseInt(values.seed, 10) >>> 0 }),
+      instant: true
+    },
+    strict: values.strict,
+    outputs: {
+      json: values.json,
+      csv: values.csv,
+      matchesCsv: values['matches-csv'],
+      log: values.log
+    },
+    quiet: values.quiet,
+    verbose: values.verbose
+  };
+}
+
+/**
+ * Lays out rows as a plain-text table, numbers aligned right
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array<*>>} rows - Rows of cells
+ * @returns {string}
+ */
+export function formatTable(header, rows) {
+  const cells = [header, ...rows].map(row => row.map(cell => String(cell ?? "")));
+  const widths = header.map((_, column) => Math.max(...cells.map(row => row[column].length)));
+  const numeric = header.map((_, column) => rows.length > 0 && rows.every(row => typeof row[column] === 'number'));
+  const line = row => row
+    .map((cell, column) => numeric[column] ? cell.padStart(widths[column]) : cell.padEnd(widths[column]))
+    .join("  ")
+    .trimEnd();
+  return [line(cells[0]), widths.map(width => "-".repeat(width)).join("  "), ...cells.slice(1).map(line)].join("\n");
+}
+
+/**
+ * Final standings as a plain-text table
+ * @param {Object} standings - Details of the last `standings` event
+ * @returns {string}
+ */
+export function standingsTable({ leaderboard, columns, caption, teams, teamFixtures }) {
+  let text = formatTable(
+    ["#", "Player", "W", "L", "T", ...columns.map(column => column.label)],
+    leaderboard.map(entry => [
+      Standings.formatRank(entry),
+      entry.name + (entry.decidedByPlayoff ? " (playoff)" : "") + (entry.bot ? ` (bot: ${entry.bot})` : ""),
+      entry.wins,
+      entry.losses,
+      entry.ties,
+      ...columns.map(column => entry[column.key])
+    ])
+  );
+  if (caption) text += `\n${caption}`;
+
+  if (teams) {
+    text += "\n\n" + formatTable(
+      ["#", "Team", "Players", ...(teamFixtures ? ["Fixtures W-L-T", "Fixture Pts"] : []), "W", "L", "T", "Pts"],
+      teams.map(team => [
+        Standings.formatRank(team),
+        team.name,
+        team.members,
+        ...(teamFixtures ? [`${team.fixturesWon}-${team.fixturesLost}-${team.fixturesTied}`, team.fixturePoints] : []),
+        team.wins,
+        team.losses,
+        team.ties,
+        team.points
+      ])
+    );
+  }
+  return text;
+}
+
+/**
+ * Champion line, or the co-champions the tiebreak chain and any playoff
+ * could not separate, with the team title below
+ * @param {Object} outcome - Details of the `champion` event
+ * @returns {string}
+ */
+export function championText({ champions, playoff, teamChampions }) {
+  const names = champions.join(" & ");
+  let text = champions.length === 1 ? `Champion: ${names}` : `Co-Champions: ${names}`;
+  if (playoff?.decided) {
+    text += ` (decided by playoff after ${playoff.rounds} sudden-death round(s))`;
+  } else if (playoff) {
+    text += " (the playoff could not separate them)";
+  }
+  if (teamChampions) {
+    text += `\n${teamChampions.length === 1 ? "Team Champion" : "Team Co-Champions"}: ${teamChampions.join(" & ")}`;
+  }
+  return text;
+}
+
+/**
+ * Runs a tournament from command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} [io] - Streams to write to
+ * @param {{write: function(string): void}} [io.stdout] - Standings and champion
+ * @param {{write: function(string): void}} [io.stderr] - Errors, roster issues and diagnostics
+ * @returns {Promise<number>} Exit code, see EXIT_CODES
+ */
+export async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.OK;
+  }
+
+  // The engine logs its progress to the console; stdout is kept for the results
+  const consoleLog = console.log;
+  console.log = options.verbose ? (...args) => console.error(...args) : () => {};
+  try {
+    return await play(options, stdout, stderr);
+  } finally {
+    console.log = consoleLog;
+  }
+}
+
+/**
+ * File source that keeps the table it parsed, so the roster read up front to
+ * report an unreadable file is the one the run plays
+ */
+class ParsedFileSource extends FileSource {
+  async fetchTable() {
+    this.table ??= await super.fetchTable();
+    return this.table;
+  }
+}
+
+/**
+ * Plays the roster and writes the results
+ * @param {Object} options - Result of parseOptions
+ * @param {{write: function(string): void}} stdout
+ * @param {{write: function(string): void}} stderr
+ * @returns {Promise<number>} Exit code, see EXIT_CODES
+ */
+async function play({ rosterPath, settings, strict, outputs, quiet }, stdout, stderr) {
+  let source;
+  try {
+    source = new ParsedFileSource(new File([await readFile(rosterPath)], basename(rosterPath)));
+    await source.fetchTable();
+  } catch (error) {
+    stderr.write(`Could not read ${rosterPath}: ${error.message}\n`);
+    return EXIT_CODES.UNREADABLE;
+  }
+
+  const tournament = new Tournament();
+  tournament.prompts.reviewRoster = async report => {
+    for (const issue of report.issues) {
+      stderr.write(`${strict ? "error" : "warning"}: ${issue.message}\n`);
+    }
+    return !strict;
+  };
+
+  let exitCode = EXIT_CODES.OK;
+  let standings = null;
+  let outcome = null;
+  tournament.on('standings', details => standings = details);
+  tournament.on('champion', details => outcome = details);
+  tournament.on('cancelled', () => {
+    stderr.write("The roster has issues, stopping because of --strict\n");
+    exitCode = EXIT_CODES.INVALID_ROSTER;
+  });
+  tournament.on('error', ({ error, hint }) => {
+    stderr.write(`${error.message}${hint ? `\n${hint}` : ""}\n`);
+    exitCode = error instanceof RosterError ? EXIT_CODES.INVALID_ROSTER : EXIT_CODES.FAILED;
+  });
+
+  await tournament.initialize(source, settings);
+  if (exitCode !== EXIT_CODES.OK) return exitCode;
+
+  if (!quiet) {
+    stdout.write(`${tournament.format.name} · ${tournament.players.length} players · ${settings.submissionWindow.describe()}\n\n`);
+    stdout.write(`${standingsTable(standings)}\n\n${championText(outcome)}\n`);
+  }
+
+  const exporter = ResultsExporter.fromTournament(tournament);
+  const files = [
+    [outputs.json, () => exporter.toJSON()],
+    [outputs.csv, () => exporter.toStandingsCSV()],
+    [outputs.matchesCsv, () => exporter.toMatchesCSV()],
+    [outputs.log, () => tournament.log.serialize()]
+  ];
+  for (const [path, content] of files.filter(([path]) => path)) {
+    try {
+      await writeFile(path, content());
+    } catch (error) {
+      stderr.write(`Could not write ${path}: ${error.message}\n`);
+      exitCode = EXIT_CODES.FAILED;
+    }
+  }
+  return exitCode;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  process.exitCode = await run(process.argv.slice(2));
+}
@@ -0,0 +1,116 @@
+/**
+ * Computer opponents
+ * A strategy picks one move per round from its own and its opponent's
+ * earlier moves in the match. Bots enter the roster as players with a move
+ * list generated up front; in adaptive mode `playMatch` asks the strategy
+ * again every round so it can react to the opponent.
+ */
+export class BotStrategy {
+  /**
+   * @param {RuleSet} ruleSet - Rule set of the run
+   * @param {function(): number} random - Seeded random generator of the run
+   */
+  constructor(ruleSet, random) {
+    this.ruleSet = ruleSet;
+    this.random = random;
+  }
+
+  /**
+   * Picks the move for the next round
+   * @param {Array<string>} ownMoves - This bot's earlier moves in the match
+   * @param {Array<string>} opponentMoves - The opponent's earlier moves in the match
+   * @returns {string} Move key
+   */
+  nextMove(ownMoves, opponentMoves) {
+    throw new Error("nextMove() must be implemented by a bot strategy");
+  }
+
+  /**
+   * @returns {string} A uniformly random move
+   */
+  randomMove() {
+    const keys = this.ruleSet.keys;
+    return keys[Math.floor(this.random() * keys.length)];
+  }
+
+  /**
+   * @param {string} move - Move to beat
+   * @returns {string} A random move that beats it
+   */
+  counter(move) {
+    const counters = this.ruleSet.keys.filter(key => this.ruleSet.compare(key, move) === 1);
+    return counters.length > 0 ? counters[Math.floor(this.random() * counters.length)] : this.randomMove();
+  }
+}
+
+export class RandomBot extends BotStrategy {
+  nextMove() {
+    return this.randomMove();
+  }
+}
+
+export class ConstantBot extends BotStrategy {
+  nextMove() {
+    return this.ruleSet.keys[0];
+  }
+}
+
+export class CycleBot extends BotStrategy {
+  nextMove(ownMoves) {
+    const keys = this.ruleSet.keys;
+    return keys[ownMoves.length % keys.length];
+  }
+}
+
+/**
+ * Beats the move the opponent has played most often so far
+ */
+export class FrequencyBot extends BotStrategy {
+  nextMove(ownMoves, opponentMoves) {
+    if (opponentMoves.length === 0) return this.randomMove();
+
+    const counts = new Map();
+    for (const move of opponentMoves) counts.set(move, (counts.get(move) || 0) + 1);
+    const favourite = [...counts].sort((a, b) => b[1] - a[1])[0][0];
+    return this.counter(favourite);
+  }
+}
+
+export class BeatLastBot extends BotStrategy {
+  nextMove(ownMoves, opponentMoves) {
+    return opponentMoves.length > 0 ? this.counter(opponentMoves[opponentMoves.length - 1]) : this.randomMove();
+  }
+}
+
+/**
+ * Predicts the opponent's next move from a first-order transition table of
+ * their earlier moves, and beats the prediction
+ */
+export class MarkovBot extends BotStrategy {
+  nextMove(ownMoves, opponentMoves) {
+    if (opponentMoves.length < 2) return this.randomMove();
+
+    const last = opponentMoves[opponentMoves.length - 1];
+    const following = new Map();
+    for (let i = 1; i < opponentMoves.length; i++) {
+      if (opponentMoves[i - 1] !== last) continue;
+      following.set(opponentMoves[i], (following.get(opponentMoves[i]) || 0) + 1);
+    }
+    if (following.size === 0) return this.randomMove();
+
+    const predicted = [...following].sort((a, b) => b[1] - a[1])[0][0];
+    return this.counter(predicted);
+  }
+}
+
+/**
+ * Bot strategies, keyed by the value used in the settings
+ */
+export const BOT_STRATEGIES = {
+  random: { label: "Random", Strategy: RandomBot },
+  constant: { label: "Constant", Strategy: ConstantBot },
+  cycle: { label: "Cycle", Strategy: CycleBot },
+  frequency: { label: "Frequency counter", Strategy: FrequencyBot },
+  'beat-last': { label: "Beat last move", Strategy: BeatLastBot },
+  markov: { label: "Markov predictor", Strategy: MarkovBot }
+};
@@ -0,0 +1,60 @@
+/**
+ * Bracket rendering for knockout formats
+ */
+import { escapeHtml } from './dom.js';
+
+export class BracketView {
+  static container = () => document.getElementById("bracket");
+
+  /**
+   * Renders every section of a bracket as columns of rounds
+   * @param {Object} bracket - Bracket built by a knockout format
+   * @param {Map<Player, number>} seeds - Seed number of each player
+   */
+  static render(bracket, seeds) {
+    this.container().innerHTML = this.markup(bracket, seeds);
+  }
+
+  /**
+   * Builds the bracket HTML, shared by the live view and the printable export
+   * @param {Object} bracket - Bracket built by a knockout format
+   * @param {Map<Player, number>} seeds - Seed number of each player
+   * @returns {string} HTML
+   */
+  static markup(bracket, seeds) {
+    const slot = (player, match) => {
+      if (!player) {
+        return `<div class="bracket-slot tbd">${match.isBye ? "Bye" : "TBD"}</div>`;
+      }
+      const state = match.winner === player ? "winner" : match.winner ? "loser" : "";
+      return `<div class="bracket-slot ${state}"><span class="seed">${seeds.get(player) ?? ""}</span>${escapeHtml(player.name)}</div>`;
+    };
+
+    return bracket.sections
+      .filter(section => section.rounds.length > 0)
+      .map(section => `
+        <h3 style="text-align:center;">${section.title}</h3>
+        <div class="bracket">
+          ${section.rounds.map(round => `
+            <div class="bracket-round">
+              <h4>${round.title}</h4>
+              ${round.matches.map(match => `
+                <div class="bracket-match ${match.winner ? "played" : ""}" id="bracket-${match.id}">
+                  ${slot(match.player1, match)}
+                  ${slot(match.player2, match)}
+                  ${match.score || match.note ? `<div class="bracket-note">${escapeHtml([match.score, match.note].filter(Boolean).join(" · "))}</div>` : ""}
+                </div>
+              `).join("")}
+            </div>
+          `).join("")}
+        </div>
+      `).join("");
+  }
+
+  /**
+   * Removes any rendered bracket
+   */
+  static clear() {
+    this.container().innerHTML = "";
+  }
+}
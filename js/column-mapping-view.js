@@ -0,0 +1,94 @@
+import { COLUMN_ROLES, ColumnMapping } from './column-mapping.js';
+import { columnLetter } from './validation.js';
+import { escapeHtml } from './dom.js';
+
+/**
+ * Column-mapping step shown before the roster check
+ */
+export class ColumnMappingView {
+  static container = () => document.getElementById("columnMapping");
+
+  /**
+   * Shows the guessed roles and waits until the organiser confirms or cancels
+   * @param {{header: string[], rows: Array<string[]>}} table - Table from the source
+   * @param {ColumnMapping} mapping - Starting point, a saved mapping or a guess
+   * @param {string} sourceLabel - Name of the source, shown next to the remember option
+   * @returns {Promise<{mapping: ColumnMapping, remember: boolean}|null>} Confirmed mapping, null if cancelled
+   */
+  static review(table, mapping, sourceLabel) {
+    const container = this.container();
+    const state = { roles: [...mapping.roles], keepCase: mapping.keepCase, remember: true };
+    const current = () => new ColumnMapping({ header: table.header, roles: state.roles, keepCase: state.keepCase });
+
+    return new Promise(resolve => {
+      const finish = (result) => {
+        container.onclick = null;
+        container.onchange = null;
+        container.innerHTML = "";
+        resolve(result);
+      };
+
+      container.onchange = (event) => {
+        const { control, column } = event.target.dataset;
+        if (control === 'role') state.roles[Number(column)] = event.target.value;
+        if (control === 'keep-case') state.keepCase = event.target.checked;
+        if (control === 'remember') state.remember = event.target.checked;
+        this.render(table, current(), state, sourceLabel);
+      };
+
+      container.onclick = (event) => {
+        const control = event.target.closest("button")?.dataset.control;
+        if (control === 'cancel') finish(null);
+        if (control === 'confirm' && current().validate().length === 0) {
+          finish({ mapping: current(), remember: state.remember });
+        }
+      };
+
+      this.render(table, current(), state, sourceLabel);
+    });
+  }
+
+  /**
+   * @param {{header: string[], rows: Array<string[]>}} table - Table from the source
+   * @param {ColumnMapping} mapping - Mapping as currently chosen
+   * @param {{remember: boolean}} state - Options not stored on the mapping
+   * @param {string} sourceLabel - Name of the source
+   */
+  static render(table, mapping, state, sourceLabel) {
+    const problems = mapping.validate();
+    const samples = table.rows.slice(0, 3);
+
+    this.container().innerHTML = `
+      <div class="validation-report column-mapping">
+        <h3>Column mapping</h3>
+        <p>Check what each column of ${escapeHtml(sourceLabel)} holds.</p>
+        <table>
+          <thead><tr><th>Column</th><th>Header</th><th>Examples</th><th>Role</th></tr></thead>
+          <tbody>
+            ${table.header.map((title, column) => `
+              <tr>
+                <td>${columnLetter(column)}</td>
+                <td>${escapeHtml(title)}</td>
+                <td class="column-samples">${escapeHtml(samples.map(row => row[column] ?? "").filter(Boolean).join(", "))}</td>
+                <td>
+                  <select data-control="role" data-column="${column}" aria-label="Role of column ${columnLetter(column)}">
+                    ${Object.entries(COLUMN_ROLES).map(([role, label]) => `
+                      <option value="${role}" ${mapping.roles[column] === role ? "selected" : ""}>${label}</option>
+                    `).join("")}
+                  </select>
+                </td>
+              </tr>
+            `).join("")}
+          </tbody>
+        </table>
+        <label><input type="checkbox" data-control="keep-case" ${mapping.keepCase ? "checked" : ""} /> Keep names as entered (original casing)</label>
+        <label><input type="checkbox" data-control="remember" ${state.remember ? "checked" : ""} /> Remember this mapping for ${escapeHtml(sourceLabel)}</label>
+        ${problems.length > 0 ? `<ul>${problems.map(problem => `<li class="validation-issue">${escapeHtml(problem)}</li>`).join("")}</ul>` : ""}
+        <div class="validation-controls">
+          <button data-control="cancel">Cancel</button>
+          <button data-control="confirm" class="primary" ${problems.length > 0 ? "disabled" : ""}>Continue</button>
+        </div>
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Column mapping
+ * Says which column of a form export holds the timestamp, the player's name,
+ * an optional unique ID and team, and the moves. Rows are turned into the
+ * `[timestamp, name, ...moves]` shape the rest of the app works with; the ID
+ * and team travel alongside as row details.
+ */
+import { cellText, normalizeCell } from './sources.js';
+
+/**
+ * Roles a column can play, keyed by the value stored in a mapping
+ */
+export const COLUMN_ROLES = {
+  timestamp: "Timestamp",
+  name: "Display name",
+  id: "Unique ID",
+  team: "Team",
+  move: "Move",
+  ignore: "Ignore"
+};
+
+export class ColumnMapping {
+  static STORAGE_PREFIX = "rps-column-mapping:";
+
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.header - Header row the mapping was made for
+   * @param {Array<string>} options.roles - Key of COLUMN_ROLES for each column
+   * @param {boolean} [options.keepCase=false] - Keep names as entered instead of lowercasing them
+   */
+  constructor({ header, roles, keepCase = false }) {
+    this.header = header;
+    this.roles = roles;
+    this.keepCase = keepCase;
+    this.details = new WeakMap();
+  }
+
+  /**
+   * Guesses each column's role from its header text, falling back to sample
+   * values and finally to the classic timestamp, name, moves layout
+   * @param {Array<string>} header - Header row
+   * @param {Array<string[]>} [rows] - Data rows used as samples
+   * @param {RuleSet} [ruleSet] - Rule set the move columns are checked against
+   * @returns {ColumnMapping}
+   */
+  static guess(header, rows = [], ruleSet = null) {
+    const samples = column => rows.slice(0, 20).map(row => row[column]).filter(Boolean);
+    const looksLikeMoves = column => {
+      const values = samples(column);
+      const valid = values.filter(value => ruleSet?.isValid(ruleSet.normalize(value.toLowerCase())));
+      return values.length > 0 && valid.length >= values.length / 2;
+    };
+
+    const roles = header.map(() => null);
+    const claim = (role, test) => {
+      const column = header.findIndex((title, index) => roles[index] === null && test(title.toLowerCase()));
+      if (column !== -1) roles[column] = role;
+    };
+    claim('timestamp', title => /time ?stamp|submitted|date|time/.test(title));
+    claim('id', title => /e-?mail|\bid\b|student (number|no)|user ?name|username/.test(title));
+    claim('team', title => /team|class|section|group|house|period/.test(title));
+    claim('name', title => /name/.test(title));
+
+    header.forEach((title, index) => {
+      if (roles[index] !== null) return;
+      roles[index] = /move|round|throw|pick|choice|game|^\d+$/.test(title.toLowerCase()) || looksLikeMoves(index) ? 'move' : null;
+    });
+
+    // Classic layout: timestamp, name, then moves
+    if (!roles.includes('name')) {
+      const column = roles.findIndex((role, index) => role === null && index <= 1);
+      if (column !== -1) roles[column] = 'name';
+    }
+    if (!roles.includes('move')) {
+      const nameColumn = roles.indexOf('name');
+      roles.forEach((role, index) => {
+        if (role === null && index > nameColumn) roles[index] = 'move';
+      });
+    }
+
+    return new ColumnMapping({ header, roles: roles.map(role => role || 'ignore') });
+  }
+
+  /**
+   * Column holding a single-column role
+   * @param {string} role - 'timestamp', 'name', 'id' or 'team'
+   * @returns {number} Column index, -1 if not mapped
+   */
+  column(role) {
+    return this.roles.indexOf(role);
+  }
+
+  /**
+   * @returns {Array<number>} Columns holding moves, in order
+   */
+  get moveColumns() {
+    return this.roles.flatMap((role, index) => (role === 'move' ? [index] : []));
+  }
+
+  /**
+   * Checks the mapping can build a roster
+   * @returns {Array<string>} Problems, empty when the mapping is usable
+   */
+  validate() {
+    const problems = [];
+    for (const role of ['timestamp', 'name', 'id', 'team']) {
+      const count = this.roles.filter(value => value === role).length;
+      if (role === 'name' && count === 0) problems.push("Choose the column with the players' names");
+      if (count > 1) problems.push(`Only one column can be the ${COLUMN_ROLES[role].toLowerCase()}`);
+    }
+    if (this.moveColumns.length === 0) problems.push("Choose at least one move column");
+    return problems;
+  }
+
+  /**
+   * Builds roster rows from the source rows
+   * @param {Array<string[]>} rows - Rows as returned by DataSource.fetchTable
+   * @returns {Array<string[]>} Rows shaped `[timestamp, name, ...moves]`
+   */
+  apply(rows) {
+    const cell = (row, column) => (column === -1 ? "" : cellText(row[column]));
+    const [timestamp, name, id, team] = ['timestamp', 'name', 'id', 'team'].map(role => this.column(role));
+
+    return rows.map(row => {
+      const mapped = [
+        normalizeCell(cell(row, timestamp)),
+        this.keepCase ? cell(row, name) : normalizeCell(cell(row, name)),
+        ...this.moveColumns.map(column => normalizeCell(row[column]))
+      ];
+      this.details.set(mapped, { source: row, id: normalizeCell(cell(row, id)) || null, team: cell(row, team) || null });
+      return mapped;
+    });
+  }
+
+  /**
+   * Source row, unique ID and team behind a row built by `apply`
+   * @param {string[]} row - Mapped row
+   * @returns {{source: string[], id: ?string, team: ?string}|null}
+   */
+  detailsOf(row) {
+    return this.details.get(row) || null;
+  }
+
+  /**
+   * Remembers the mapping for a source
+   * @param {string} key - Source key, see DataSource.key
+   */
+  save(key) {
+    try {
+      localStorage.setItem(ColumnMapping.STORAGE_PREFIX + key, JSON.stringify({
+        header: this.header,
+        roles: this.roles,
+        keepCase: this.keepCase
+      }));
+    } catch (error) {
+      console.warn("Could not save the column mapping:", error);
+    }
+  }
+
+  /**
+   * Loads the mapping saved for a source, if it was made for the same header
+   * @param {string} key - Source key, see DataSource.key
+   * @param {Array<string>} header - Current header row
+   * @returns {ColumnMapping|null}
+   */
+  static load(key, header) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(ColumnMapping.STORAGE_PREFIX + key));
+      if (!saved || saved.header.length !== header.length || saved.header.some((title, index) => title !== header[index])) {
+        return null;
+      }
+      return new ColumnMapping({ header, roles: saved.roles, keepCase: saved.keepCase });
+    } catch (error) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Application constants shared by the engine and the page
+ */
+
+/**
+ * Configuration object containing all application constants
+ * Moves, their spellings and their artwork live in the rule sets (js/rulesets.js).
+ * @typedef {Object} Config
+ * @property {number} DEFAULT_SPEED_MULTIPLIER - Default animation speed multiplier
+ * @property {number} MIN_ANIMATION_DURATION - Minimum animation duration in seconds
+ * @property {string} MATRIX_CHARS - Characters used for matrix rain effect
+ * @property {string} API_BASE_URL - Base URL for Google Sheets API
+ * @property {number} ANIMATION_DELAY - Delay between rounds in milliseconds
+ * @property {number} MATCH_DELAY - Delay between matches in milliseconds
+ * @property {number} PLAYOFF_MAX_ROUNDS - Sudden-death rounds after which a playoff is declared undecided
+ * @property {string} FORFEIT_MOVE - Move value marking a forfeited round
+ * @property {number} LIVE_MAX_ROUNDS - Rounds after which a live best-of match ends on the current score
+ * @property {number} ROW_MOVE_DURATION - Duration of a leaderboard row sliding to its new place in milliseconds
+ * @property {number} TICKER_SIZE - Leaders shown in the presentation ticker
+ * @property {number} TICKER_SECONDS_PER_LEADER - Seconds each leader takes to scroll through the ticker
+ * @property {number} CONFETTI_PIECES - Confetti pieces of the champion celebration
+ */
+export const CONFIG = {
+  DEFAULT_SPEED_MULTIPLIER: 1,
+  MIN_ANIMATION_DURATION: 0.3,
+  MATRIX_CHARS: "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789@#$%^&*()_+-=[]{}|;:,.<>?",
+  API_BASE_URL: 'https://docs.google.com/spreadsheets/d/',
+  ANIMATION_DELAY: 300,
+  MATCH_DELAY: 200,
+  PLAYOFF_MAX_ROUNDS: 20,
+  LIVE_MAX_ROUNDS: 15,
+  ROW_MOVE_DURATION: 300,
+  TICKER_SIZE: 5,
+  TICKER_SECONDS_PER_LEADER: 4,
+  CONFETTI_PIECES: 80,
+  FORFEIT_MOVE: '(forfeit)'
+};
@@ -0,0 +1,58 @@
+/**
+ * Safe page building
+ * Names, cells and sheet titles come from a public form, so they only ever
+ * reach the page as text nodes or escaped markup, never as markup of their own.
+ */
+
+/**
+ * Escapes text for use inside HTML markup, including attribute values
+ * @param {*} value - Text to escape
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Creates an element. Strings and numbers among the children become text
+ * nodes; null, undefined and false are skipped and arrays are flattened.
+ * @param {string} tag - Tag name
+ * @param {Object} [properties] - Element properties such as className, id or title;
+ *   `dataset` and `attributes` are objects of data attributes and plain attributes
+ * @param {...*} children - Child nodes and text
+ * @returns {HTMLElement}
+ */
+export function element(tag, properties = {}, ...children) {
+  const node = document.createElement(tag);
+  const { dataset = {}, attributes = {}, ...rest } = properties;
+  Object.assign(node, rest);
+  Object.assign(node.dataset, dataset);
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value !== null && value !== undefined && value !== false) node.setAttribute(name, value === true ? "" : value);
+  }
+  node.append(...children.flat(Infinity).filter(child => child !== null && child !== undefined && child !== false)
+    .map(child => (typeof child === 'object' ? child : String(child))));
+  return node;
+}
+
+// Generated IDs by scope, then by key
+const generatedIds = new Map();
+
+/**
+ * ID for a key, e.g. a player's name, that stays the same for the life of the
+ * page without containing the key itself
+ * @param {string} scope - Prefix naming what the IDs are for, e.g. "details"
+ * @param {string} key - What the ID stands for
+ * @returns {string} e.g. "details-3"
+ */
+export function stableId(scope, key) {
+  if (!generatedIds.has(scope)) generatedIds.set(scope, new Map());
+  const ids = generatedIds.get(scope);
+  if (!ids.has(key)) ids.set(key, `${scope}-${ids.size + 1}`);
+  return ids.get(key);
+}
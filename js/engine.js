@@ -0,0 +1,785 @@
+/**
+ * Tournament engine
+ * Scoring, scheduling and standings with no dependency on the page, so the
+ * same code runs in the browser and under Node.
+ */
+import { CONFIG } from './config.js';
+import { EventEmitter } from './events.js';
+import { createRandom, randomSeed } from './random.js';
+import { PlaybackController, TournamentAbortedError } from './playback.js';
+import { normalizeCell } from './sources.js';
+import { RULE_SETS } from './rulesets.js';
+import { MovePolicy } from './move-policy.js';
+import { Standings } from './standings.js';
+import { TeamStandings } from './teams.js';
+import { RoundRobinFormat } from './formats.js';
+import { Playoff } from './playoff.js';
+import { BOT_STRATEGIES } from './bots.js';
+import { ColumnMapping } from './column-mapping.js';
+import { SubmissionWindow } from './submission-window.js';
+import { RosterError, RosterReport } from './validation.js';
+import { ReplayLog } from './replay-log.js';
+import { RatingBook } from './ratings.js';
+
+/**
+ * Player class representing a tournament participant
+ */
+export class Player {
+  constructor(name, moves) {
+    this.name = name;
+    this.moves = moves;
+    this.movesUsed = 0;
+    this.live = false;
+    this.bot = null; // { type, strategy } for computer entrants
+    this.source = null; // Label of the source the entry came from when several were merged
+    this.id = null; // Unique ID column, e.g. an email address
+    this.team = null;
+    this.stats = {
+      wins: 0,
+      losses: 0,
+      ties: 0,
+      roundWins: 0,
+      roundLosses: 0,
+      roundTies: 0,
+      opponents: []
+    };
+  }
+
+  /**
+   * Number of moves submitted, not counting blank cells
+   * @returns {number}
+   */
+  get moveCount() {
+    return this.moves.filter(move => move).length;
+  }
+
+  /**
+   * Records a match result against an opponent
+   * @param {string} opponentName - Name of the opponent
+   * @param {string} result - 'Win', 'Loss', or 'Tie'
+   * @param {number} roundWins - Rounds won in this match
+   * @param {number} roundLosses - Rounds lost in this match
+   * @param {number} roundTies - Rounds tied in this match
+   * @param {Object} [details] - Extra match details, e.g. rounds played and move policy notes
+   */
+  recordMatch(opponentName, result, roundWins, roundLosses, roundTies, details = {}) {
+    this.stats.opponents.push({
+      vs: opponentName,
+      result,
+      roundWins,
+      roundLosses,
+      roundTies,
+      ...details
+    });
+
+    switch (result) {
+      case 'Win':
+        this.stats.wins++;
+        break;
+      case 'Loss':
+        this.stats.losses++;
+        break;
+      case 'Tie':
+        this.stats.ties++;
+        break;
+    }
+
+    this.stats.roundWins += roundWins;
+    this.stats.roundLosses += roundLosses;
+    this.stats.roundTies += roundTies;
+  }
+
+  /**
+   * Records a bye, which counts as a win without rounds played
+   */
+  recordBye() {
+    this.stats.opponents.push({
+      vs: 'BYE',
+      result: 'Win',
+      roundWins: 0,
+      roundLosses: 0,
+      roundTies: 0,
+      bye: true
+    });
+    this.stats.wins++;
+  }
+}
+
+/**
+ * Tournament engine: runs a roster through a format and reports every step
+ * as an event. It never touches the page; decisions that need a person (the
+ * column mapping, the roster check, live moves) go through `prompts`, which
+ * the page replaces with its dialogs and which default to unattended answers.
+ *
+ * Events: `loading`, `stage`, `bracket`, `matchStart`, `round`, `matchEnd`,
+ * `progress`, `standings`, `champion`, `finished`, `cancelled`, `aborted`,
+ * `error` and `speed`.
+ */
+export class Tournament extends EventEmitter {
+  constructor() {
+    super();
+    this.players = [];
+    this.speedMultiplier = CONFIG.DEFAULT_SPEED_MULTIPLIER;
+    this.isRunning = false;
+    this.format = new RoundRobinFormat();
+    this.standings = new Standings();
+    this.tieResolution = 'co-champions';
+    this.ruleSet = RULE_SETS.rps;
+    this.movePolicy = new MovePolicy();
+    this.ratings = new RatingBook();
+    this.disqualified = [];
+    this.playoff = null;
+    this.seed = 0;
+    this.random = Math.random;
+    this.log = null;
+    this.playback = new PlaybackController();
+    this.matchesPlayed = 0;
+    this.totalMatches = 0;
+    this.prompts = { ...Tournament.UNATTENDED };
+  }
+
+  /**
+   * Answers used when nobody is there to ask: the proposed column mapping is
+   * taken as is, the roster starts with its issues unresolved, and live moves
+   * cannot be played
+   */
+  static UNATTENDED = {
+    reviewMapping: async (table, mapping) => ({ mapping, remember: false }),
+    reviewRoster: async () => true,
+    chooseMoves: async () => {
+      throw new Error("Live players need someone at the screen to pick their moves");
+    },
+    promptMove: async () => null
+  };
+
+  /**
+   * Initializes the tournament with data from a roster source
+   * @param {DataSource} source - Source providing the roster rows
+   * @param {Object} [settings] - Tournament settings
+   * @param {SubmissionWindow} [settings.submissionWindow] - Which submissions take part and how their timestamps read, all of them by default
+   * @param {boolean} [settings.reviewMapping] - Show the column-mapping step even when a saved mapping fits the sheet
+   * @param {'latest'|'earliest'|'rename'|null} [settings.duplicatePolicy] - How duplicate names are resolved, null to review them in the roster report first; any left unresolved keep the latest submission
+   * @param {Object} [settings.format] - Tournament format, round robin by default
+   * @param {Standings} [settings.standings] - Points system and tiebreak chain
+   * @param {'co-champions'|'playoff'} [settings.tieResolution] - What to do when the chain cannot separate the leaders
+   * @param {RuleSet} [settings.ruleSet] - Moves and beats-graph of the game, rock-paper-scissors by default
+   * @param {MovePolicy} [settings.movePolicy] - How unequal move lists are handled
+   * @param {RatingBook} [settings.ratings] - Ratings carried over from earlier events, fresh ratings by default
+   * @param {Array<string>} [settings.livePlayers] - Names of players who pick their moves live, round by round
+   * @param {number} [settings.bestOf] - Length of matches involving a live player
+   * @param {Array<string>} [settings.bots] - Keys of BOT_STRATEGIES to enter, one bot each
+   * @param {boolean} [settings.teamMode] - Keep team standings next to the individual ones
+   * @param {'adaptive'|'fixed'} [settings.botMode] - Whether bots react to their opponent during a match or play a move list generated up front
+   * @param {number} [settings.seed] - Seed for random seeding and coin flips, a fresh one by default
+   * @param {boolean} [settings.instant] - Play every match without delays or animations, e.g. for a command-line run
+   * @returns {Promise<void>}
+   */
+  async initialize(source, {
+    submissionWindow = new SubmissionWindow(),
+    reviewMapping = false,
+    duplicatePolicy = null,
+    format = new RoundRobinFormat(),
+    standings = new Standings(),
+    tieResolution = 'co-champions',
+    ruleSet = RULE_SETS.rps,
+    movePolicy = new MovePolicy(),
+    ratings = new RatingBook(),
+    livePlayers = [],
+    bestOf = 3,
+    bots = [],
+    botMode = 'adaptive',
+    teamMode = false,
+    seed = randomSeed(),
+    instant = false
+  } = {}) {
+    if (this.isRunning) return;
+
+    try {
+      this.isRunning = true;
+      this.playback.start();
+      if (instant) this.playback.finishInstantly();
+      this.format = format;
+      this.standings = standings;
+      this.tieResolution = tieResolution;
+      this.ruleSet = ruleSet;
+      this.movePolicy = movePolicy;
+      this.ratings = ratings;
+      this.bestOf = bestOf;
+      this.botMode = botMode;
+      this.teamMode = teamMode;
+      this.duplicatePolicy = duplicatePolicy;
+      this.playoff = null;
+      this.seed = seed;
+      this.random = createRandom(seed);
+      const table = await source.fetchTable();
+      const mapping = await this.mapColumns(source, table, reviewMapping);
+      if (!mapping) {
+        this.emit('cancelled');
+        return;
+      }
+      const data = mapping.apply(table.rows);
+      const skipped = [];
+      const canFilter = mapping.column('timestamp') !== -1;
+      if (submissionWindow.isBounded && !canFilter) {
+        console.warn("No timestamp column is mapped, the submission window is ignored");
+      }
+      this.submissionWindow = submissionWindow.forRows(data);
+      const filteredData = submissionWindow.isBounded && canFilter ? this.filterRowsByWindow(data, this.submissionWindow, skipped) : data;
+
+      const report = new RosterReport({
+        rows: filteredData,
+        skipped,
+        allRows: data,
+        ruleSet: this.ruleSet,
+        firstRowNumber: source.firstRowNumber,
+        originOf: row => source.originOf(mapping.detailsOf(row)?.source),
+        detailsOf: row => mapping.detailsOf(row),
+        readTimestamp: timestamp => this.submissionWindow.parse(timestamp),
+        keepCase: mapping.keepCase
+      });
+      if (duplicatePolicy) {
+        report.resolveDuplicates(duplicatePolicy);
+      }
+      if (report.issues.length > 0) {
+        this.emit('loading', { loading: false });
+        if (!await this.prompts.reviewRoster(report)) {
+          this.emit('cancelled');
+          return;
+        }
+      }
+      report.resolveDuplicates(duplicatePolicy || 'latest');
+      report.resolveNameClashes();
+
+      const { eligible, disqualified } = this.movePolicy.prepare(this.parsePlayers(report.finalRows()));
+      const details = report.entrantDetails();
+      eligible.forEach(player => Object.assign(player, details.get(player.name)));
+      const roster = [...eligible, ...disqualified];
+      roster.push(...this.createLivePlayers(livePlayers, roster));
+      roster.push(...this.createBots(bots, roster));
+      this.players = roster.filter(player => !disqualified.includes(player));
+      this.disqualified = disqualified;
+      this.log = new ReplayLog({
+        seed,
+        settings: this.settingsSnapshot(),
+        roster: this.players.map(player => ({ name: player.name, moves: player.moves.map(move => move ?? null) }))
+      });
+      console.log("Parsed players:", this.players);
+      this.validatePlayers();
+
+      this.emit('loading', { loading: false });
+      this.refreshLeaderboard();
+
+      await this.runTournament();
+      this.refreshLeaderboard();
+      if (this.tieResolution === 'playoff') {
+        await this.runPlayoff();
+      }
+      this.announceWinner();
+      this.log.finish(this.getLeaderboard(), this.championName());
+      await this.emitAsync('finished', { source, log: this.log, problems: this.log.verify() });
+    } catch (error) {
+      if (error instanceof TournamentAbortedError) {
+        this.reset();
+        this.emit('aborted');
+      } else {
+        this.emit('error', { error, hint: source.errorHint });
+      }
+    } finally {
+      this.isRunning = false;
+      this.playback.stop();
+    }
+  }
+
+  /**
+   * Emits an event and waits for listeners that return a promise, e.g. one
+   * saving the finished run before the engine reports itself idle
+   * @param {string} type - Event name
+   * @param {Object} [details] - Details passed to the listeners
+   * @returns {Promise<void>}
+   */
+  async emitAsync(type, details = {}) {
+    await Promise.all((this.listeners.get(type) || []).map(listener => listener(details)));
+  }
+
+  /**
+   * Drops the players and results of the current run
+   */
+  reset() {
+    this.players = [];
+    this.disqualified = [];
+    this.playoff = null;
+    this.log = null;
+    this.matchesPlayed = 0;
+    this.totalMatches = 0;
+  }
+
+  /**
+   * Keeps the rows submitted inside the submission window
+   * @param {Array} rows - Sheet data rows
+   * @param {SubmissionWindow} submissionWindow - Window to filter by
+   * @param {Array} [skipped] - Receives `{ row, reason }` for rows skipped because their timestamp is missing or unreadable
+   * @returns {Array} Filtered rows
+   */
+  filterRowsByWindow(rows, submissionWindow, skipped = []) {
+    console.log(`Filtering ${rows.length} rows to ${submissionWindow.describe()}`);
+    const { included, early, late, unreadable } = submissionWindow.classify(rows);
+    skipped.push(...unreadable);
+    console.log(`Filtered to ${included.length} rows (${early.length} too early, ${late.length} too late, ${unreadable.length} unreadable)`);
+    return included;
+  }
+
+  /**
+   * Parses player data from sheet rows
+   * @param {Array} rows - Sheet data rows
+   * @returns {Array<Player>} Array of Player instances, with `undefined` for blank move cells
+   */
+  parsePlayers(rows) {
+    return rows
+      .map(row => {
+        const name = row[1]?.trim() || "";
+        // A blank cell keeps its round, so the move policy decides what a skipped round means
+        const moves = row.slice(2).map(move => {
+          const trimmed = move?.trim();
+          return trimmed ? this.ruleSet.normalize(trimmed) : undefined;
+        });
+        while (moves.length > 0 && moves[moves.length - 1] === undefined) moves.pop();
+
+        return name ? new Player(name, moves) : null;
+      })
+      .filter(player => player && player.moves.length > 0);
+  }
+
+  /**
+   * Validates that there are enough players
+   * @throws {RosterError} If validation fails
+   */
+  validatePlayers() {
+    if (this.players.length < 2) {
+      throw new RosterError("At least 2 players with moves are required");
+    }
+  }
+
+  /**
+   * Works out which column holds what: a saved mapping for the same header is
+   * used as is, otherwise the organiser confirms a guess
+   * @param {DataSource} source - Source the table came from
+   * @param {{header: string[], rows: Array<string[]>}} table - Table from the source
+   * @param {boolean} review - Show the mapping step even when a saved mapping fits
+   * @returns {Promise<ColumnMapping|null>} Mapping to use, null if the organiser cancelled
+   */
+  async mapColumns(source, table, review) {
+    if (table.header.length === 0) {
+      return new ColumnMapping({ header: [], roles: [] });
+    }
+
+    const saved = ColumnMapping.load(source.key, table.header);
+    if (saved && !review) return saved;
+
+    this.emit('loading', { loading: false });
+    const result = await this.prompts.reviewMapping(table, saved || ColumnMapping.guess(table.header, table.rows, this.ruleSet), source.label);
+    if (!result) return null;
+    if (result.remember) result.mapping.save(source.key);
+    this.emit('loading', { loading: true });
+    return result.mapping;
+  }
+
+  /**
+   * Creates the entrants who play live instead of submitting moves in advance
+   * @param {Array<string>} names - Live player names
+   * @param {Array<Player>} roster - Players already entered from the roster
+   * @returns {Array<Player>} Live players
+   * @throws {Error} If a name is already taken
+   */
+  createLivePlayers(names, roster) {
+    const taken = new Set(roster.map(player => normalizeCell(player.name)));
+    return names.map(normalizeCell).filter(Boolean).map(name => {
+      if (taken.has(name)) {
+        throw new Error(`Live player "${name}" is already on the roster`);
+      }
+      taken.add(name);
+      const player = new Player(name, []);
+      player.live = true;
+      return player;
+    });
+  }
+
+  /**
+   * Creates computer entrants. Each bot gets a move list as long as the
+   * longest submitted one, or the move policy's round count when that is
+   * longer, generated by its strategy without knowing any opponent.
+   * @param {Array<string>} types - Keys of BOT_STRATEGIES
+   * @param {Array<Player>} roster - Players already entered
+   * @returns {Array<Player>} Bots
+   */
+  createBots(types, roster) {
+    const taken = new Set(roster.map(player => normalizeCell(player.name)));
+    const rounds = Math.max(3, this.movePolicy.requiredRounds || 0, ...roster.map(player => player.moves.length));
+
+    return types.map(type => {
+      const { label, Strategy } = BOT_STRATEGIES[type];
+      let name = `${label.toLowerCase()} bot`;
+      for (let number = 2; taken.has(name); number++) {
+        name = `${label.toLowerCase()} bot ${number}`;
+      }
+      taken.add(name);
+
+      const strategy = new Strategy(this.ruleSet, this.random);
+      const moves = [];
+      while (moves.length < rounds) moves.push(strategy.nextMove(moves, []));
+
+      const player = new Player(name, moves);
+      player.bot = { type, strategy };
+      return player;
+    });
+  }
+
+  /**
+   * Runs the tournament by letting the selected format schedule its matches
+   * @returns {Promise<void>}
+   */
+  async runTournament() {
+    this.matchesPlayed = 0;
+    this.totalMatches = this.format.countMatches(this.players.length, this.players);
+    await this.format.run(this);
+  }
+
+  /**
+   * Plays a match scheduled by the format and refreshes leaderboard and progress
+   * @param {Player} player1 - First player
+   * @param {Player} player2 - Second player
+   * @param {string} [stage] - Where the match belongs in the format, recorded in the replay log
+   * @returns {Promise<Object>} Result of the match, see playMatch
+   */
+  async runMatch(player1, player2, stage = "") {
+    this.playback.checkpoint();
+    const result = await this.playMatch(player1, player2, stage);
+    if (!this.playback.isInstant) {
+      this.refreshLeaderboard();
+    }
+    this.matchesPlayed++;
+    this.emit('progress', { played: this.matchesPlayed, total: this.totalMatches });
+    return result;
+  }
+
+  /**
+   * Simulates a match between two players
+   * @param {Player} player1 - First player
+   * @param {Player} player2 - Second player
+   * @param {string} [stage] - Where the match belongs in the format, recorded in the replay log
+   * @returns {Promise<Object>} Match result with round scores and the winner (1, 2 or 0) of each round
+   */
+  async playMatch(player1, player2, stage = "") {
+    this.playback.beginMatch();
+    this.emit('matchStart', {
+      player1, player2, stage,
+      number: this.matchesPlayed + 1,
+      total: this.totalMatches,
+      animate: this.playback.animationsEnabled
+    });
+    const logEntry = this.log?.startMatch(player1, player2, stage);
+
+    let p1Wins = 0, p2Wins = 0, ties = 0;
+    const live = player1.live || player2.live;
+    const winsNeeded = Math.floor(this.bestOf / 2) + 1;
+    const maxRounds = live ? CONFIG.LIVE_MAX_ROUNDS : this.movePolicy.roundCount(player1, player2);
+    const roundResults = [];
+
+    for (let round = 0; round < maxRounds; round++) {
+      let move1 = player1.live ? null : this.movePolicy.moveFor(player1, round);
+      let move2 = player2.live ? null : this.movePolicy.moveFor(player2, round);
+
+      if (this.botMode === 'adaptive') {
+        const moves1 = roundResults.map(result => result.move1);
+        const moves2 = roundResults.map(result => result.move2);
+        if (player1.bot && move1) move1 = player1.bot.strategy.nextMove(moves1, moves2);
+        if (player2.bot && move2) move2 = player2.bot.strategy.nextMove(moves2, moves1);
+      }
+
+      if (live) {
+        // Live matches end once someone has won the majority, or when a sheet opponent runs out of moves
+        if (Math.max(p1Wins, p2Wins) >= winsNeeded) break;
+        if ((!player1.live && !move1) || (!player2.live && !move2)) break;
+        [move1, move2] = await this.playback.input(this.prompts.chooseMoves(
+          [{ player: player1, move: move1 }, { player: player2, move: move2 }],
+          { number: round + 1, score: [p1Wins, p2Wins], bestOf: this.bestOf },
+          this.ruleSet
+        ));
+      }
+
+      if (!move1 || !move2) continue;
+
+      const result = this.determineWinner(move1, move2);
+      roundResults.push({ move1, move2, winner: result });
+      if (logEntry) this.log.recordRound(logEntry, { move1, move2, winner: result });
+      let winner = null;
+
+      if (result === 1) {
+        p1Wins++;
+        winner = player1.name;
+      } else if (result === 2) {
+        p2Wins++;
+        winner = player2.name;
+      } else {
+        ties++;
+      }
+
+      this.emit('round', { player1, player2, move1, move2, winner, animate: this.playback.animationsEnabled || live });
+      await this.delay(CONFIG.ANIMATION_DELAY / this.speedMultiplier);
+    }
+
+    const rounds = roundResults.length;
+    player1.movesUsed = Math.max(player1.movesUsed, Math.min(rounds, player1.moves.length));
+    player2.movesUsed = Math.max(player2.movesUsed, Math.min(rounds, player2.moves.length));
+    const matchResult = this.getMatchResult(p1Wins, p2Wins);
+    player1.recordMatch(player2.name, matchResult.player1Result, p1Wins, p2Wins, ties, {
+      rounds,
+      note: this.movePolicy.noteFor(player1, rounds)
+    });
+    player2.recordMatch(player1.name, matchResult.player2Result, p2Wins, p1Wins, ties, {
+      rounds,
+      note: this.movePolicy.noteFor(player2, rounds)
+    });
+    this.ratings.recordMatch(player1.name, player2.name, matchResult.player1Result);
+
+    await this.delay(CONFIG.MATCH_DELAY / this.speedMultiplier);
+
+    const summary = { ...matchResult, player1Wins: p1Wins, player2Wins: p2Wins, ties, rounds: roundResults };
+    if (logEntry) this.log.endMatch(logEntry, summary);
+    this.emit('matchEnd', { player1, player2, stage, result: summary });
+    return summary;
+  }
+
+  /**
+   * Determines the winner of a round under the selected rule set
+   * @param {string} move1 - Move of player 1
+   * @param {string} move2 - Move of player 2
+   * @returns {number} 1 if player1 wins, 2 if player2 wins, 0 for tie
+   */
+  determineWinner(move1, move2) {
+    return this.ruleSet.compare(move1, move2);
+  }
+
+  /**
+   * Gets the result of a match
+   * @param {number} p1Wins - Wins for player 1
+   * @param {number} p2Wins - Wins for player 2
+   * @returns {Object} Match result object
+   */
+  getMatchResult(p1Wins, p2Wins) {
+    if (p1Wins > p2Wins) {
+      return { player1Result: 'Win', player2Result: 'Loss' };
+    } else if (p2Wins > p1Wins) {
+      return { player1Result: 'Loss', player2Result: 'Win' };
+    } else {
+      return { player1Result: 'Tie', player2Result: 'Tie' };
+    }
+  }
+
+  /**
+   * Gets the leaderboard ranked by the points system and tiebreak chain
+   *
+   * Each entry also carries the Swiss score (1 per win, ½ per tie), the
+   * Buchholz tiebreak (sum of the opponents' scores) and the Sonneborn-Berger
+   * tiebreak (scores of beaten opponents plus half the scores of tied ones).
+   * `champion` marks the bracket or playoff winner once there is one, and
+   * the players sharing first place until then, as knockout winners need
+   * not top the points.
+   * @returns {Array} Ranked array of player stats, see Standings.rank
+   */
+  getLeaderboard() {
+    const scores = new Map(this.players.map(player => [player.name, player.stats.wins + player.stats.ties / 2]));
+
+    const entries = this.players
+      .map(player => {
+        const played = player.stats.opponents.filter(opponent => !opponent.bye);
+        const opponentScore = opponent => scores.get(opponent.vs) || 0;
+        return {
+          name: player.name,
+          live: player.live,
+          bot: player.bot ? BOT_STRATEGIES[player.bot.type].label : null,
+          source: player.source || "",
+          team: player.team || "",
+          ...player.stats,
+          score: scores.get(player.name),
+          rating: this.ratings.rating(player.name),
+          ratingChange: Tournament.formatChange(this.ratings.change(player.name)),
+          buchholz: played.reduce((sum, opponent) => sum + opponentScore(opponent), 0),
+          sonnebornBerger: played.reduce((sum, opponent) =>
+            sum + (opponent.result === 'Win' ? opponentScore(opponent) : opponent.result === 'Tie' ? opponentScore(opponent) / 2 : 0), 0)
+        };
+      });
+
+    const ranked = this.standings.rank(entries);
+    const leaderboard = this.playoff ? this.playoff.applyTo(ranked) : ranked;
+    const champion = this.format.champion || this.playoff?.champion;
+    leaderboard.forEach(entry => entry.champion = champion ? entry.name === champion.name : entry.rank === 1);
+    return leaderboard;
+  }
+
+  /**
+   * Reports the current standings with the tiebreak columns and any format-specific columns
+   */
+  refreshLeaderboard() {
+    const disqualified = this.disqualified.length > 0
+      ? ` · Disqualified: ${this.disqualified.map(player => `${player.name} (${player.moveCount} moves)`).join(", ")}`
+      : "";
+    this.emit('standings', {
+      leaderboard: this.getLeaderboard(),
+      columns: this.leaderboardColumns(),
+      caption: `Move policy: ${this.movePolicy.description}${disqualified}`,
+      teams: this.showsTeams ? this.getTeamLeaderboard() : null,
+      teamFixtures: Boolean(this.format.isTeamFormat)
+    });
+  }
+
+  /**
+   * Extra leaderboard columns: the tiebreak chain's, then the format's own
+   * @returns {Array<{key: string, label: string}>}
+   */
+  leaderboardColumns() {
+    const columns = [...this.standings.columns];
+    for (const column of this.format.standingsColumns || []) {
+      if (!columns.some(existing => existing.key === column.key)) columns.push(column);
+    }
+    columns.push({ key: 'rating', label: this.ratings.label }, { key: 'ratingChange', label: "±" });
+    if (this.players.some(player => player.source)) {
+      columns.push({ key: 'source', label: "Source" });
+    }
+    if (this.showsTeams) {
+      columns.push({ key: 'team', label: "Team" });
+    }
+    return columns;
+  }
+
+  /**
+   * Formats a rating change with its sign
+   * @param {number} change - Rating change
+   * @returns {string} e.g. "+12", "-7" or "0"
+   */
+  static formatChange(change) {
+    return change > 0 ? `+${change}` : `${change}`;
+  }
+
+  /**
+   * Runs a sudden-death playoff when the tiebreak chain leaves several players sharing first place
+   * @returns {Promise<void>}
+   */
+  async runPlayoff() {
+    if (this.format.champion) return;
+
+    const leaders = this.getLeaderboard().filter(entry => entry.rank === 1);
+    if (leaders.length < 2) return;
+
+    const contenders = leaders.map(entry => this.players.find(player => player.name === entry.name));
+    this.playoff = new Playoff(this, contenders);
+    await this.playoff.run();
+    this.refreshLeaderboard();
+  }
+
+  /**
+   * Name of the sole champion, if the title was not shared
+   * @returns {string|null}
+   */
+  championName() {
+    const champion = this.format.champion || this.playoff?.champion;
+    if (champion) return champion.name;
+
+    const leaders = this.getLeaderboard().filter(entry => entry.rank === 1);
+    return leaders.length === 1 ? leaders[0].name : null;
+  }
+
+  /**
+   * Plain snapshot of the settings of the current run, stored in the replay log
+   * @returns {Object}
+   */
+  settingsSnapshot() {
+    return {
+      format: this.format.name,
+      seeding: this.format.seeding ?? null,
+      tieRule: this.format.tieRule ?? null,
+      points: this.standings.points,
+      tiebreaks: this.standings.tiebreaks,
+      tieResolution: this.tieResolution,
+      movePolicy: this.movePolicy.description,
+      ratingSystem: this.ratings.system,
+      bestOf: this.bestOf,
+      botMode: this.botMode,
+      duplicatePolicy: this.duplicatePolicy,
+      submissionWindow: this.submissionWindow.describe(),
+      timeZone: this.submissionWindow.timeZone,
+      teamMode: this.teamMode,
+      skipSameTeam: this.format.skipSameTeam ?? false,
+      ruleSet: this.ruleSet.toJSON()
+    };
+  }
+
+  /**
+   * Announces the tournament winner, taking the bracket champion in knockout formats.
+   * Leaders the tiebreak chain cannot separate are announced as co-champions,
+   * unless a playoff has decided the title.
+   */
+  announceWinner() {
+    const champion = this.format.champion || this.playoff?.champion;
+    const leaders = this.getLeaderboard().filter(entry => entry.rank === 1).map(entry => entry.name);
+
+    this.emit('champion', {
+      champions: champion ? [champion.name] : leaders,
+      playoff: this.playoff && !this.format.champion
+        ? { decided: Boolean(this.playoff.champion), rounds: this.playoff.rounds.length }
+        : null,
+      teamChampions: this.showsTeams
+        ? this.getTeamLeaderboard().filter(entry => entry.rank === 1).map(entry => entry.name)
+        : null
+    });
+  }
+
+  /**
+   * Whether team standings are kept for this run
+   * @returns {boolean}
+   */
+  get showsTeams() {
+    return this.teamMode || Boolean(this.format.isTeamFormat);
+  }
+
+  /**
+   * Ranks the teams from the members' results and any fixtures played
+   * @returns {Array<Object>} Ranked team entries
+   */
+  getTeamLeaderboard() {
+    return new TeamStandings(this.standings).rank(this.getLeaderboard(), this.format.fixtures || []);
+  }
+
+  /**
+   * Updates the animation speed multiplier
+   * @param {number} multiplier - New speed multiplier
+   */
+  updateSpeed(multiplier) {
+    this.speedMultiplier = multiplier;
+    this.emit('speed', { multiplier });
+  }
+
+  /**
+   * Utility delay function, routed through the playback controller so that
+   * pause, skip, instant finish and abort take effect
+   * @param {number} ms - Milliseconds to delay
+   * @returns {Promise<void>}
+   */
+  delay(ms) {
+    return this.playback.wait(ms);
+  }
+}
+
+// Everything a headless run needs, importable from one place
+export { CONFIG } from './config.js';
+export { RuleSet, RULE_SETS } from './rulesets.js';
+export { Standings, TIEBREAKERS } from './standings.js';
+export { MovePolicy, MOVE_POLICIES } from './move-policy.js';
+export { TOURNAMENT_FORMATS } from './formats.js';
+export { BOT_STRATEGIES } from './bots.js';
+export { RatingBook, RATING_SYSTEMS } from './ratings.js';
+export { DataSource, FileSource, GoogleSheetSource, LiveOnlySource, MergedSource } from './sources.js';
+export { SubmissionWindow, parseTime, parseTimestamp } from './submission-window.js';
+export { ReplayLog } from './replay-log.js';
+export { RosterError } from './validation.js';
+export { ResultsExporter } from './exporter.js';
+export { TournamentAbortedError } from './playback.js';
@@ -0,0 +1,43 @@
+/**
+ * Minimal event emitter
+ * The engine reports what happens during a run through events, so the page,
+ * a command-line runner or a test can each follow along in their own way.
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Registers a listener for an event
+   * @param {string} type - Event name
+   * @param {function(Object): void} listener - Called with the event's details
+   * @returns {function(): void} Removes the listener again
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, []);
+    this.listeners.get(type).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Removes a listener registered with `on`
+   * @param {string} type - Event name
+   * @param {function(Object): void} listener - Listener to remove
+   */
+  off(type, listener) {
+    const listeners = this.listeners.get(type) || [];
+    this.listeners.set(type, listeners.filter(existing => existing !== listener));
+  }
+
+  /**
+   * Calls every listener of an event, in the order they were registered
+   * @param {string} type - Event name
+   * @param {Object} [details] - Details passed to the listeners
+   */
+  emit(type, details = {}) {
+    for (const listener of this.listeners.get(type) || []) {
+      listener(details);
+    }
+  }
+}
@@ -0,0 +1,342 @@
+/**
+ * Results export
+ * Turns the final standings, with each player's match breakdown, into CSV,
+ * JSON, a printable page or a PNG results card. Everything is generated in
+ * the browser.
+ */
+import { Standings } from './standings.js';
+import { BracketView } from './bracket-view.js';
+import { escapeHtml } from './dom.js';
+
+/**
+ * Offers content to the user as a file download
+ * @param {string} fileName - Suggested file name
+ * @param {Blob|string} content - File content
+ * @param {string} [type] - MIME type when content is a string
+ */
+export function downloadFile(fileName, content, type = "text/plain") {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+export class ResultsExporter {
+  /**
+   * @param {Object} results
+   * @param {string} results.title - Event title
+   * @param {Date} results.date - When the event finished
+   * @param {string|null} results.champion - Champion's name, null when the title is shared
+   * @param {string} results.championNote - How the title was decided, e.g. "Decided by playoff"
+   * @param {Object} results.settings - Settings snapshot, see Tournament.settingsSnapshot
+   * @param {Array<Object>} results.standings - Ranked leaderboard entries with their opponents and champion flag
+   * @param {Object|null} results.bracket - Bracket of a knockout format
+   * @param {Map<Player, number>} [results.seeds] - Seed numbers for the bracket
+   * @param {string} [results.ratingLabel] - Name of the rating system, heading the rating column
+   */
+  constructor({ title, date, champion, championNote, settings, standings, bracket, seeds = new Map(), ratingLabel = "Rating" }) {
+    this.title = title;
+    this.date = date;
+    this.champion = champion;
+    this.championNote = championNote;
+    this.settings = settings;
+    this.standings = standings;
+    this.bracket = bracket;
+    this.seeds = seeds;
+    this.ratingLabel = ratingLabel;
+  }
+
+  /**
+   * Captures the results of a finished tournament
+   * @param {Tournament} tournament - Finished tournament
+   * @returns {ResultsExporter}
+   */
+  static fromTournament(tournament) {
+    const standings = tournament.getLeaderboard();
+    const champion = tournament.championName();
+    return new ResultsExporter({
+      title: "Rock Paper Scissors Tournament",
+      date: new Date(),
+      champion,
+      championNote: tournament.playoff?.champion ? "Decided by playoff" : champion ? "" : "Shared title",
+      settings: tournament.settingsSnapshot(),
+      standings,
+      bracket: tournament.format.bracket || null,
+      seeds: tournament.format.seeds,
+      ratingLabel: tournament.ratings.label
+    });
+  }
+
+  /**
+   * Base name for exported files
+   * @returns {string}
+   */
+  get fileStem() {
+    return `rps-results-${this.date.toISOString().slice(0, 10)}`;
+  }
+
+  /**
+   * Champion line as shown in every export
+   * @returns {string}
+   */
+  get championLine() {
+    if (this.champion) return this.champion;
+    return this.standings.filter(entry => entry.rank === 1).map(entry => entry.name).join(" & ");
+  }
+
+  /**
+   * Quotes a CSV field when needed and defuses spreadsheet formulas. Numbers,
+   * including negative ones such as rating changes, are left as numbers.
+   * @param {*} value - Field value
+   * @returns {string}
+   */
+  static csvField(value) {
+    let text = String(value ?? "");
+    if (/^[=+\-@]/.test(text) && !Number.isFinite(Number(text))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Joins rows into CSV text
+   * @param {Array<Array<*>>} rows - Rows of fields
+   * @returns {string}
+   */
+  static toCSVText(rows) {
+    return rows.map(row => row.map(ResultsExporter.csvField).join(",")).join("\r\n");
+  }
+
+  /**
+   * Final standings, one row per player, with each player's rating and its change over the event
+   * @returns {string} CSV text
+   */
+  toStandingsCSV() {
+    return ResultsExporter.toCSVText([
+      ["Rank", "Player", "Points", "Wins", "Losses", "Ties", "Round Wins", "Round Losses", "Round Ties", this.ratingLabel, "Rating Change"],
+      ...this.standings.map(entry => [
+        Standings.formatRank(entry), entry.name, entry.points, entry.wins, entry.losses, entry.ties,
+        entry.roundWins, entry.roundLosses, entry.roundTies, entry.rating ?? "", entry.ratingChange ?? ""
+      ])
+    ]);
+  }
+
+  /**
+   * Match breakdown, one row per player per match
+   * @returns {string} CSV text
+   */
+  toMatchesCSV() {
+    return ResultsExporter.toCSVText([
+      ["Player", "Opponent", "Result", "Round Wins", "Round Losses", "Round Ties", "Rounds Played", "Note"],
+      ...this.standings.flatMap(entry => entry.opponents.map(opponent => [
+        entry.name, opponent.vs, opponent.result, opponent.roundWins, opponent.roundLosses, opponent.roundTies,
+        opponent.rounds ?? "", opponent.note || ""
+      ]))
+    ]);
+  }
+
+  /**
+   * Structured results
+   * @returns {string} JSON text
+   */
+  toJSON() {
+    return JSON.stringify({
+      title: this.title,
+      generatedAt: this.date.toISOString(),
+      champion: this.champion,
+      championNote: this.championNote,
+      settings: this.settings,
+      standings: this.standings.map(entry => ({
+        rank: entry.rank,
+        sharedRank: entry.sharedRank,
+        name: entry.name,
+        points: entry.points,
+        wins: entry.wins,
+        losses: entry.losses,
+        ties: entry.ties,
+        roundWins: entry.roundWins,
+        roundLosses: entry.roundLosses,
+        roundTies: entry.roundTies,
+        matches: entry.opponents.map(({ vs, result, roundWins, roundLosses, roundTies, rounds, note, bye }) =>
+          ({ vs, result, roundWins, roundLosses, roundTies, rounds, note, bye }))
+      })),
+      bracket: this.bracket && {
+        sections: this.bracket.sections.map(section => ({
+          title: section.title,
+          rounds: section.rounds.map(round => ({
+            title: round.title,
+            matches: round.matches.map(match => ({
+              id: match.id,
+              player1: match.player1?.name ?? null,
+              player2: match.player2?.name ?? null,
+              winner: match.winner?.name ?? null,
+              score: match.score,
+              note: match.note
+            }))
+          }))
+        }))
+      }
+    }, null, 2);
+  }
+
+  /**
+   * Print-friendly standings and bracket page
+   * @returns {string} Complete HTML document
+   */
+  toPrintableHTML() {
+    const bracket = this.bracket ? BracketView.markup(this.bracket, this.seeds) : "";
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(this.title)} – Results</title>
+<style>
+  body { font-family: Georgia, serif; color: #000; margin: 2cm; }
+  h1, h2, h3 { text-align: center; }
+  .champion { text-align: center; font-size: 1.4em; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 1.5em; }
+  th, td { border: 1px solid #999; padding: 4px 8px; text-align: center; }
+  th { background: #eee; }
+  .bracket { display: flex; gap: 12px; page-break-inside: avoid; }
+  .bracket-round { flex: 1; display: flex; flex-direction: column; justify-content: space-around; gap: 8px; }
+  .bracket-round h4 { text-align: center; margin: 0; }
+  .bracket-match { border: 1px solid #999; }
+  .bracket-slot { padding: 2px 6px; border-bottom: 1px solid #ddd; }
+  .bracket-slot.winner { font-weight: bold; }
+  .bracket-slot.loser { color: #888; }
+  .bracket-note { font-size: 0.8em; color: #555; padding: 2px 6px; }
+  .seed { color: #666; font-size: 0.8em; margin-right: 4px; }
+  @page { margin: 1.5cm; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(this.title)}</h1>
+<p class="champion">🏆 ${escapeHtml(this.championLine)}${this.championNote ? ` <small>(${escapeHtml(this.championNote)})</small>` : ""}</p>
+<p style="text-align:center;">${escapeHtml(this.settings.format)} · ${escapeHtml(this.settings.ruleSet.name)} · ${escapeHtml(this.date.toLocaleString())}</p>
+<h2>Standings</h2>
+<table>
+  <thead><tr><th>#</th><th>Player</th><th>Pts</th><th>W</th><th>L</th><th>T</th><th>Rounds (W-L-T)</th></tr></thead>
+  <tbody>
+    ${this.standings.map(entry => `<tr><td>${Standings.formatRank(entry)}</td><td>${escapeHtml(entry.name)}</td><td>${entry.points}</td><td>${entry.wins}</td><td>${entry.losses}</td><td>${entry.ties}</td><td>${entry.roundWins}-${entry.roundLosses}-${entry.roundTies}</td></tr>`).join("\n    ")}
+  </tbody>
+</table>
+${bracket ? `<h2>Bracket</h2>${bracket}` : ""}
+</body>
+</html>`;
+  }
+
+  /**
+   * Draws the results card on a canvas
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on; resized to 1200×630
+   */
+  drawCard(canvas) {
+    canvas.width = 1200;
+    canvas.height = 630;
+    const ctx = canvas.getContext("2d");
+
+    const background = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+    background.addColorStop(0, "#004400");
+    background.addColorStop(0.5, "#0b0b0b");
+    background.addColorStop(1, "#004400");
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.strokeStyle = "#00aa44";
+    ctx.lineWidth = 4;
+    ctx.strokeRect(20, 20, canvas.width - 40, canvas.height - 40);
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#00ff80";
+    ctx.shadowColor = "#00ff80";
+    ctx.shadowBlur = 20;
+    ctx.font = "bold 44px sans-serif";
+    ctx.fillText(this.title, canvas.width / 2, 95);
+
+    ctx.shadowBlur = 0;
+    ctx.fillStyle = "#e0e0e0";
+    ctx.font = "28px sans-serif";
+    ctx.fillText(this.champion ? "🏆 Champion 🏆" : "🏆 Co-Champions 🏆", canvas.width / 2, 170);
+
+    ctx.fillStyle = "#00ff80";
+    ctx.font = "bold 64px sans-serif";
+    ctx.fillText(this.fitText(ctx, this.championLine, canvas.width - 120), canvas.width / 2, 250);
+
+    if (this.championNote) {
+      ctx.fillStyle = "#aaaaaa";
+      ctx.font = "italic 24px sans-serif";
+      ctx.fillText(this.championNote, canvas.width / 2, 290);
+    }
+
+    ctx.textAlign = "left";
+    ctx.font = "26px sans-serif";
+    this.standings.slice(0, 5).forEach((entry, index) => {
+      const y = 355 + index * 42;
+      ctx.fillStyle = entry.champion ? "#00ff80" : "#e0e0e0";
+      ctx.fillText(Standings.formatRank(entry), 260, y);
+      ctx.fillText(this.fitText(ctx, entry.name, 440), 340, y);
+      ctx.textAlign = "right";
+      ctx.fillText(`${entry.points} pts · ${entry.wins}-${entry.losses}-${entry.ties}`, 940, y);
+      ctx.textAlign = "left";
+    });
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#888888";
+    ctx.font = "20px sans-serif";
+    ctx.fillText(`${this.settings.format} · ${this.settings.ruleSet.name} · ${this.date.toLocaleDateString()}`, canvas.width / 2, 595);
+  }
+
+  /**
+   * Shortens text with an ellipsis until it fits the given width
+   * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+   * @param {string} text - Text to fit
+   * @param {number} maxWidth - Available width in pixels
+   * @returns {string}
+   */
+  fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let shortened = text;
+    while (shortened.length > 1 && ctx.measureText(`${shortened}…`).width > maxWidth) {
+      shortened = shortened.slice(0, -1);
+    }
+    return `${shortened}…`;
+  }
+
+  /**
+   * Generates and downloads the results in the chosen format
+   * @param {'csv'|'matches-csv'|'json'|'print'|'png'} format - Export format
+   * @returns {Promise<void>}
+   * @throws {Error} If the print page is blocked or the results card cannot be drawn
+   */
+  async export(format) {
+    switch (format) {
+      case 'csv':
+        downloadFile(`${this.fileStem}.csv`, this.toStandingsCSV(), "text/csv");
+        break;
+      case 'matches-csv':
+        downloadFile(`${this.fileStem}-matches.csv`, this.toMatchesCSV(), "text/csv");
+        break;
+      case 'json':
+        downloadFile(`${this.fileStem}.json`, this.toJSON(), "application/json");
+        break;
+      case 'print': {
+        const page = window.open("", "_blank");
+        if (!page) throw new Error("The print page was blocked. Allow pop-ups for this site and try again");
+        page.document.write(this.toPrintableHTML());
+        page.document.close();
+        page.focus();
+        page.print();
+        break;
+      }
+      case 'png': {
+        const canvas = document.createElement("canvas");
+        this.drawCard(canvas);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+        if (!blob) throw new Error("The results card could not be drawn. Try another export format");
+        downloadFile(`${this.fileStem}.png`, blob);
+        break;
+      }
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+}
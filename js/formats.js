@@ -0,0 +1,574 @@
+/**
+ * Tournament formats
+ * A format decides who plays whom and in which order. It schedules matches
+ * through `Tournament.runMatch` and reports the champion once it is done.
+ */
+import { groupTeams, sameTeam } from './teams.js';
+import { RosterError } from './validation.js';
+
+/**
+ * Full round robin: every player meets every other player once
+ */
+export class RoundRobinFormat {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.skipSameTeam=false] - Leave out pairings of teammates
+   */
+  constructor({ skipSameTeam = false } = {}) {
+    this.skipSameTeam = skipSameTeam;
+    this.champion = null;
+  }
+
+  get name() {
+    return "Round Robin";
+  }
+
+  /**
+   * Number of matches the format will play
+   * @param {number} playerCount - Number of entrants
+   * @param {Array<Player>} [players] - The entrants, needed when teammates are skipped
+   * @returns {number}
+   */
+  countMatches(playerCount, players = []) {
+    const teammatePairs = this.skipSameTeam
+      ? players.reduce((sum, player, index) => sum + players.slice(index + 1).filter(other => sameTeam(player, other)).length, 0)
+      : 0;
+    return (playerCount * (playerCount - 1)) / 2 - teammatePairs;
+  }
+
+  /**
+   * Plays every pairing in sheet order
+   * @param {Tournament} tournament - Tournament running the format
+   * @returns {Promise<void>}
+   */
+  async run(tournament) {
+    const players = tournament.players;
+    for (let i = 0; i < players.length; i++) {
+      for (let j = i + 1; j < players.length; j++) {
+        if (this.skipSameTeam && sameTeam(players[i], players[j])) continue;
+        await tournament.runMatch(players[i], players[j]);
+      }
+    }
+  }
+}
+
+/**
+ * Team against team: every pair of teams meets once, and board N of one team
+ * plays board N of the other. Members beyond the smaller team's size sit the fixture out.
+ */
+export class TeamFixturesFormat {
+  constructor() {
+    this.champion = null;
+    this.fixtures = [];
+  }
+
+  get name() {
+    return "Team Fixtures";
+  }
+
+  /**
+   * Whether the format pits teams against each other, so team standings always apply
+   * @returns {boolean}
+   */
+  get isTeamFormat() {
+    return true;
+  }
+
+  countMatches(playerCount, players = []) {
+    const teams = groupTeams(players);
+    let matches = 0;
+    for (let i = 0; i < teams.length; i++) {
+      for (let j = i + 1; j < teams.length; j++) {
+        matches += Math.min(teams[i].members.length, teams[j].members.length);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Plays every fixture board by board
+   * @param {Tournament} tournament - Tournament running the format
+   * @returns {Promise<void>}
+   */
+  async run(tournament) {
+    const teams = groupTeams(tournament.players);
+    if (teams.length < 2) {
+      throw new RosterError("Team fixtures need players from at least 2 teams");
+    }
+
+    this.fixtures = [];
+    for (let i = 0; i < teams.length; i++) {
+      for (let j = i + 1; j < teams.length; j++) {
+        const [home, away] = [teams[i], teams[j]];
+        const fixture = { teams: [home.name, away.name], score: [0, 0], boards: [] };
+        this.fixtures.push(fixture);
+
+        const boards = Math.min(home.members.length, away.members.length);
+        for (let board = 0; board < boards; board++) {
+          const [player1, player2] = [home.members[board], away.members[board]];
+          const result = await tournament.runMatch(player1, player2, `${home.name} v ${away.name}, board ${board + 1}`);
+          if (result.player1Result === 'Win') fixture.score[0]++;
+          if (result.player2Result === 'Win') fixture.score[1]++;
+          fixture.boards.push({ player1: player1.name, player2: player2.name, result: result.player1Result });
+        }
+        tournament.refreshLeaderboard();
+      }
+    }
+  }
+}
+
+/**
+ * A single pairing inside a bracket
+ */
+export class BracketMatch {
+  /**
+   * @param {string} id - Stable match identifier, e.g. "W1-3"
+   * @param {Player|null} player1 - First player, null while still to be decided
+   * @param {Player|null} player2 - Second player, null while still to be decided
+   */
+  constructor(id, player1 = null, player2 = null) {
+    this.id = id;
+    this.player1 = player1;
+    this.player2 = player2;
+    this.score = null;
+    this.winner = null;
+    this.loser = null;
+    this.isBye = false;
+    this.note = "";
+  }
+}
+
+/**
+ * Base class for formats that order their entrants by seed
+ */
+export class SeededFormat {
+  /**
+   * @param {Object} [options]
+   * @param {'sheet'|'random'|'rating'} [options.seeding='sheet'] - How seeds are assigned
+   */
+  constructor({ seeding = 'sheet' } = {}) {
+    this.seeding = seeding;
+    this.seeds = new Map();
+    this.champion = null;
+  }
+
+  /**
+   * Orders the players by seed and remembers each player's seed number
+   * @param {Array<Player>} players - Players in sheet order
+   * @param {function(): number} random - Seeded random generator of the run
+   * @param {RatingBook} [ratings] - Ratings used by rating seeding
+   * @returns {Array<Player>} Players from first seed to last
+   */
+  seedPlayers(players, random, ratings) {
+    const seeded = [...players];
+    if (this.seeding === 'rating' && ratings) {
+      seeded.sort((a, b) => ratings.state(b.name).rating - ratings.state(a.name).rating);
+    } else if (this.seeding === 'random') {
+      for (let i = seeded.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [seeded[i], seeded[j]] = [seeded[j], seeded[i]];
+      }
+    }
+    this.seeds = new Map(seeded.map((player, index) => [player, index + 1]));
+    return seeded;
+  }
+}
+
+/**
+ * Shared tie handling and bracket bookkeeping for knockout formats
+ */
+export class KnockoutFormat extends SeededFormat {
+  /**
+   * @param {Object} [options]
+   * @param {'sheet'|'random'|'rating'} [options.seeding='sheet'] - How seeds are assigned
+   * @param {'first-round'|'seed'|'coin'} [options.tieRule='first-round'] - How a tied match is decided
+   */
+  constructor({ seeding = 'sheet', tieRule = 'first-round' } = {}) {
+    super({ seeding });
+    this.tieRule = tieRule;
+    this.bracket = { sections: [] };
+  }
+
+  /**
+   * Builds first-round slots so that the top seeds meet as late as possible
+   * and byes go to the highest seeds
+   * @param {Array<Player>} seeded - Players from first seed to last
+   * @returns {Array<Player|null>} Bracket slots, null marks a bye
+   */
+  bracketSlots(seeded) {
+    let size = 1;
+    while (size < seeded.length) size *= 2;
+
+    let order = [1];
+    while (order.length < size) {
+      const next = order.length * 2 + 1;
+      order = order.flatMap(seed => [seed, next - seed]);
+    }
+
+    return order.map(seed => seeded[seed - 1] || null);
+  }
+
+  /**
+   * Plays a bracket match and decides who advances, resolving ties with the tie rule
+   * @param {Tournament} tournament - Tournament running the format
+   * @param {BracketMatch} match - Match to play
+   * @returns {Promise<void>}
+   */
+  async playBracketMatch(tournament, match) {
+    if (!match.player1 || !match.player2) {
+      match.isBye = true;
+      match.winner = match.player1 || match.player2;
+      match.note = "Bye";
+      this.render(tournament);
+      return;
+    }
+
+    const result = await tournament.runMatch(match.player1, match.player2, match.id);
+    match.score = `${result.player1Wins}-${result.player2Wins}`;
+
+    if (result.player1Result === 'Win') {
+      match.winner = match.player1;
+    } else if (result.player2Result === 'Win') {
+      match.winner = match.player2;
+    } else {
+      match.winner = this.breakTie(match.player1, match.player2, result, tournament.random);
+    }
+    match.loser = match.winner === match.player1 ? match.player2 : match.player1;
+    this.render(tournament);
+  }
+
+  /**
+   * Decides who advances from a tied knockout match
+   * @param {Player} player1 - First player
+   * @param {Player} player2 - Second player
+   * @param {Object} result - Result returned by playMatch
+   * @param {function(): number} random - Seeded random generator of the run
+   * @returns {Player} Player who advances
+   */
+  breakTie(player1, player2, result, random) {
+    const higherSeed = this.seeds.get(player1) <= this.seeds.get(player2) ? player1 : player2;
+
+    if (this.tieRule === 'first-round') {
+      const firstDecided = result.rounds.find(round => round.winner !== 0);
+      if (firstDecided) {
+        this.lastTieNote = "Tie, advanced on first round won";
+        return firstDecided.winner === 1 ? player1 : player2;
+      }
+    } else if (this.tieRule === 'coin') {
+      this.lastTieNote = "Tie, advanced on coin flip";
+      return random() < 0.5 ? player1 : player2;
+    }
+
+    this.lastTieNote = "Tie, higher seed advanced";
+    return higherSeed;
+  }
+
+  /**
+   * Reports the bracket as it stands, for the bracket view to redraw
+   * @param {Tournament} tournament - Tournament running the format
+   */
+  render(tournament) {
+    tournament.emit('bracket', { bracket: this.bracket, seeds: this.seeds });
+  }
+}
+
+/**
+ * Single elimination: one loss and you are out
+ */
+export class SingleEliminationFormat extends KnockoutFormat {
+  get name() {
+    return "Single Elimination";
+  }
+
+  countMatches(playerCount) {
+    return playerCount - 1;
+  }
+
+  /**
+   * Plays the bracket round by round, byes included
+   * @param {Tournament} tournament - Tournament running the format
+   * @returns {Promise<void>}
+   */
+  async run(tournament) {
+    const slots = this.bracketSlots(this.seedPlayers(tournament.players, tournament.random, tournament.ratings));
+    const rounds = [];
+    for (let size = slots.length / 2, round = 1; size >= 1; size /= 2, round++) {
+      rounds.push({
+        title: size === 1 ? "Final" : size === 2 ? "Semifinals" : `Round ${round}`,
+        matches: Array.from({ length: size }, (_, index) => new BracketMatch(`W${round}-${index + 1}`))
+      });
+    }
+    rounds[0].matches.forEach((match, index) => {
+      match.player1 = slots[index * 2];
+      match.player2 = slots[index * 2 + 1];
+    });
+    this.bracket = { sections: [{ title: "Bracket", rounds }] };
+    this.render(tournament);
+
+    for (let r = 0; r < rounds.length; r++) {
+      for (const [index, match] of rounds[r].matches.entries()) {
+        this.lastTieNote = "";
+        await this.playBracketMatch(tournament, match);
+        match.note ||= this.lastTieNote;
+
+        const next = rounds[r + 1]?.matches[Math.floor(index / 2)];
+        if (next) {
+          next[index % 2 === 0 ? 'player1' : 'player2'] = match.winner;
+          this.render(tournament);
+        }
+      }
+    }
+
+    this.champion = rounds[rounds.length - 1].matches[0].winner;
+  }
+}
+
+/**
+ * Double elimination: a winners bracket, a losers bracket for everyone with a
+ * single loss, and a grand final that is replayed if the losers-bracket
+ * champion hands the winners-bracket champion their first loss
+ */
+export class DoubleEliminationFormat extends KnockoutFormat {
+  get name() {
+    return "Double Elimination";
+  }
+
+  countMatches(playerCount) {
+    return Math.max(0, 2 * playerCount - 2);
+  }
+
+  /**
+   * Plays winners and losers bracket rounds in step, then the grand final
+   * @param {Tournament} tournament - Tournament running the format
+   * @returns {Promise<void>}
+   */
+  async run(tournament) {
+    const winnersRounds = [];
+    const losersRounds = [];
+    const finalRounds = [];
+    this.bracket = {
+      sections: [
+        { title: "Winners Bracket", rounds: winnersRounds },
+        { title: "Losers Bracket", rounds: losersRounds },
+        { title: "Grand Final", rounds: finalRounds }
+      ]
+    };
+
+    let slots = this.bracketSlots(this.seedPlayers(tournament.players, tournament.random, tournament.ratings));
+    let losersPool = [];
+
+    while (slots.length > 1 || losersPool.length > 1) {
+      const dropped = [];
+
+      if (slots.length > 1) {
+        const round = { title: `Round ${winnersRounds.length + 1}`, matches: [] };
+        for (let i = 0; i < slots.length; i += 2) {
+          round.matches.push(new BracketMatch(`W${winnersRounds.length + 1}-${i / 2 + 1}`, slots[i], slots[i + 1]));
+        }
+        winnersRounds.push(round);
+        slots = await this.playRound(tournament, round, dropped);
+      }
+
+      losersPool = [...losersPool, ...dropped];
+      if (losersPool.length > 1) {
+        const round = { title: `Round ${losersRounds.length + 1}`, matches: [] };
+        const pairs = Math.floor(losersPool.length / 2);
+        for (let i = 0; i < pairs; i++) {
+          round.matches.push(new BracketMatch(`L${losersRounds.length + 1}-${i + 1}`, losersPool[i], losersPool[losersPool.length - 1 - i]));
+        }
+        if (losersPool.length % 2 === 1) {
+          round.matches.push(new BracketMatch(`L${losersRounds.length + 1}-${pairs + 1}`, losersPool[pairs], null));
+        }
+        losersRounds.push(round);
+        losersPool = await this.playRound(tournament, round, []);
+      }
+    }
+
+    const winnersChampion = slots[0];
+    const losersChampion = losersPool[0];
+    if (!losersChampion) {
+      this.champion = winnersChampion;
+      this.render(tournament);
+      return;
+    }
+
+    const grandFinal = new BracketMatch("GF-1", winnersChampion, losersChampion);
+    finalRounds.push({ title: "Grand Final", matches: [grandFinal] });
+    await this.playRound(tournament, finalRounds[0], []);
+
+    if (grandFinal.winner === losersChampion) {
+      tournament.totalMatches++;
+      const reset = new BracketMatch("GF-2", winnersChampion, losersChampion);
+      reset.note = "Bracket reset";
+      finalRounds.push({ title: "Reset", matches: [reset] });
+      await this.playRound(tournament, finalRounds[1], []);
+      this.champion = reset.winner;
+    } else {
+      this.champion = grandFinal.winner;
+    }
+  }
+
+  /**
+   * Plays every match of one bracket round
+   * @param {Tournament} tournament - Tournament running the format
+   * @param {Object} round - Round holding the matches
+   * @param {Array<Player>} losers - Receives the players who lost in this round
+   * @returns {Promise<Array<Player>>} Players advancing, in bracket order
+   */
+  async playRound(tournament, round, losers) {
+    this.render(tournament);
+    const advancing = [];
+    for (const match of round.matches) {
+      this.lastTieNote = "";
+      await this.playBracketMatch(tournament, match);
+      match.note ||= this.lastTieNote;
+      advancing.push(match.winner);
+      if (match.loser) losers.push(match.loser);
+    }
+    this.render(tournament);
+    return advancing;
+  }
+}
+
+/**
+ * Swiss system: a fixed number of rounds in which players with equal scores
+ * meet, nobody meets the same opponent twice and an odd player out gets a bye
+ */
+export class SwissFormat extends SeededFormat {
+  // Pairings tried before giving up on a repeat-free round, so a large roster cannot stall the search
+  static MAX_PAIRING_ATTEMPTS = 10000;
+
+  /**
+   * @param {Object} [options]
+   * @param {'sheet'|'random'|'rating'} [options.seeding='sheet'] - Initial order used to pair round one
+   * @param {number|null} [options.rounds=null] - Number of rounds, log2 of the entrants when not set
+   * @param {boolean} [options.skipSameTeam=false] - Avoid pairing teammates whenever the standings allow it
+   */
+  constructor({ seeding = 'sheet', rounds = null, skipSameTeam = false } = {}) {
+    super({ seeding });
+    this.requestedRounds = rounds;
+    this.skipSameTeam = skipSameTeam;
+    this.rounds = 0;
+  }
+
+  get name() {
+    return "Swiss";
+  }
+
+  /**
+   * Extra leaderboard columns shown while this format runs
+   * @returns {Array<{key: string, label: string}>}
+   */
+  get standingsColumns() {
+    return [
+      { key: 'score', label: 'Score' },
+      { key: 'buchholz', label: 'Buchholz' },
+      { key: 'sonnebornBerger', label: 'SB' }
+    ];
+  }
+
+  /**
+   * Number of rounds actually played, capped so that no pairing has to repeat
+   * @param {number} playerCount - Number of entrants
+   * @returns {number}
+   */
+  roundCount(playerCount) {
+    const maxRounds = playerCount % 2 === 0 ? playerCount - 1 : playerCount;
+    const rounds = this.requestedRounds || Math.ceil(Math.log2(playerCount));
+    return Math.max(1, Math.min(rounds, maxRounds));
+  }
+
+  countMatches(playerCount) {
+    return this.roundCount(playerCount) * Math.floor(playerCount / 2);
+  }
+
+  /**
+   * Pairs and plays each round in turn
+   * @param {Tournament} tournament - Tournament running the format
+   * @returns {Promise<void>}
+   */
+  async run(tournament) {
+    const seeded = this.seedPlayers(tournament.players, tournament.random, tournament.ratings);
+    this.rounds = this.roundCount(seeded.length);
+
+    for (let round = 1; round <= this.rounds; round++) {
+      const standings = tournament.getLeaderboard();
+      const scores = new Map(standings.map(entry => [entry.name, entry.score]));
+      const rank = new Map(standings.map((entry, index) => [entry.name, index]));
+      const ordered = [...seeded].sort((a, b) =>
+        scores.get(b.name) - scores.get(a.name) || rank.get(a.name) - rank.get(b.name) || this.seeds.get(a) - this.seeds.get(b)
+      );
+
+      let byePlayer = null;
+      if (ordered.length % 2 === 1) {
+        byePlayer = [...ordered].reverse().find(player => !player.stats.opponents.some(o => o.bye)) || ordered[ordered.length - 1];
+        ordered.splice(ordered.indexOf(byePlayer), 1);
+      }
+
+      const pairs = this.pair(ordered, scores) || this.pairInOrder(ordered);
+
+      tournament.emit('stage', { kind: 'round', label: `Swiss round ${round} of ${this.rounds}` });
+      for (const [player1, player2] of pairs) {
+        await tournament.runMatch(player1, player2, `Round ${round}`);
+      }
+      if (byePlayer) {
+        byePlayer.recordBye();
+        tournament.refreshLeaderboard();
+      }
+    }
+  }
+
+  /**
+   * Pairs players from the top of the standings down, backtracking whenever a
+   * pairing would repeat an earlier match or, if asked, pit teammates against each other
+   * @param {Array<Player>} players - Unpaired players in standings order
+   * @param {Map<string, number>} scores - Current score of each player
+   * @param {{attempts: number}} [budget] - Pairings left to try, shared by the whole search
+   * @returns {Array<Array<Player>>|null} Pairs, or null when no repeat-free pairing was found within the budget
+   */
+  pair(players, scores, budget = { attempts: SwissFormat.MAX_PAIRING_ATTEMPTS }) {
+    if (players.length === 0) return [];
+    if (--budget.attempts < 0) return null;
+
+    const [first, ...rest] = players;
+    const candidates = [...rest].sort((a, b) =>
+      Math.abs(scores.get(first.name) - scores.get(a.name)) - Math.abs(scores.get(first.name) - scores.get(b.name))
+    );
+
+    for (const opponent of candidates) {
+      if (first.stats.opponents.some(o => o.vs === opponent.name)) continue;
+      if (this.skipSameTeam && sameTeam(first, opponent)) continue;
+
+      const remaining = this.pair(rest.filter(player => player !== opponent), scores, budget);
+      if (remaining) return [[first, opponent], ...remaining];
+      if (budget.attempts < 0) return null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Fallback pairing in standings order, used when no repeat-free pairing was found
+   * @param {Array<Player>} players - Unpaired players in standings order
+   * @returns {Array<Array<Player>>}
+   */
+  pairInOrder(players) {
+    const pairs = [];
+    for (let i = 0; i + 1 < players.length; i += 2) {
+      pairs.push([players[i], players[i + 1]]);
+    }
+    return pairs;
+  }
+}
+
+/**
+ * Tournament formats available in the format selector
+ * @type {Object.<string, Function>}
+ */
+export const TOURNAMENT_FORMATS = {
+  'round-robin': RoundRobinFormat,
+  'single-elimination': SingleEliminationFormat,
+  'double-elimination': DoubleEliminationFormat,
+  'swiss': SwissFormat,
+  'team-fixtures': TeamFixturesFormat
+};
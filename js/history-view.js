@@ -0,0 +1,202 @@
+import { Standings } from './standings.js';
+import { ReplayLog } from './replay-log.js';
+import { SeasonStandings } from './history.js';
+import { RATING_SYSTEMS, RatingBook } from './ratings.js';
+import { UI } from './ui.js';
+import { LeaderboardView } from './leaderboard-view.js';
+import { ReplayView } from './replay-view.js';
+import { StatsView } from './stats-view.js';
+import { escapeHtml } from './dom.js';
+
+/**
+ * Browser for stored tournaments and the season standings built from them
+ */
+export class HistoryView {
+  static container = () => document.getElementById("history");
+
+  static records = [];
+  static selectedPlayer = null;
+  static history = null;
+  static tournament = null;
+
+  /**
+   * Sets the store the view reads and the tournament whose runs block reopening
+   * @param {TournamentHistory} history - Stored tournaments
+   * @param {Tournament} tournament - The page's tournament
+   */
+  static connect(history, tournament) {
+    this.history = history;
+    this.tournament = tournament;
+  }
+
+  /**
+   * Reloads the stored tournaments and redraws the view
+   * @returns {Promise<void>}
+   */
+  static async refresh() {
+    const container = this.container();
+    container.onclick = (event) => {
+      const button = event.target.closest("[data-history]");
+      if (button) this.handle(button.dataset.history, Number(button.dataset.id));
+    };
+    container.onchange = (event) => {
+      if (event.target.dataset.control === 'rating-player') {
+        this.selectedPlayer = event.target.value;
+        this.render();
+      }
+    };
+
+    try {
+      this.records = await this.history.list();
+      this.render();
+    } catch (error) {
+      container.innerHTML = `<p class="history-empty">Tournament history is unavailable: ${escapeHtml(error.message)}</p>`;
+    }
+  }
+
+  /**
+   * Runs a history action
+   * @param {'reopen'|'delete'} action - Action name
+   * @param {number} id - Record id
+   * @returns {Promise<void>}
+   */
+  static async handle(action, id) {
+    if (this.tournament.isRunning) return;
+
+    try {
+      if (action === 'reopen') {
+        this.reopen(await this.history.get(id));
+      } else if (action === 'delete' && confirm("Delete this tournament from the history?")) {
+        await this.history.delete(id);
+        await this.refresh();
+      }
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  /**
+   * Shows the standings, replay and statistics of a stored tournament
+   * @param {Object} record - Stored record
+   */
+  static reopen(record) {
+    if (!record) throw new Error("This tournament is no longer in the history");
+
+    const log = ReplayLog.fromJSON(record.replay);
+    UI.resetTournamentView();
+    UI.enableExports(false);
+    // Older records have no champion flag on their standings, so it comes from the record's champion
+    const standings = record.standings.map(entry => ({
+      champion: record.champion ? entry.name === record.champion : entry.rank === 1,
+      ...entry
+    }));
+    LeaderboardView.render(standings, record.columns, `Saved ${new Date(record.savedAt).toLocaleString()} · ${record.label}`);
+    UI.showResult(record.champion ? `Champion: ${record.champion}` : "Shared title");
+    ReplayView.show(log, log.verify());
+    StatsView.show(log);
+  }
+
+  static render() {
+    const container = this.container();
+    if (this.records.length === 0) {
+      container.innerHTML = `
+        <h3 style="text-align:center;">Tournament History</h3>
+        <p class="history-empty">Completed tournaments are saved here automatically.</p>
+      `;
+      return;
+    }
+
+    container.innerHTML = `
+      <h3 style="text-align:center;">Tournament History</h3>
+      <table class="history-table">
+        <thead><tr><th>Saved</th><th>Event</th><th>Format</th><th>Players</th><th>Champion</th><th></th></tr></thead>
+        <tbody>
+          ${this.records.map(record => `
+            <tr>
+              <td>${new Date(record.savedAt).toLocaleString()}</td>
+              <td>${escapeHtml(record.label)}</td>
+              <td>${escapeHtml(record.format)}</td>
+              <td>${record.playerCount}</td>
+              <td>${escapeHtml(record.champion ?? "Shared")}</td>
+              <td class="history-actions">
+                <button data-history="reopen" data-id="${record.id}">Reopen</button>
+                <button data-history="delete" data-id="${record.id}">Delete</button>
+              </td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+      ${this.renderSeason()}
+      ${this.renderRatings()}
+    `;
+  }
+
+  /**
+   * Cumulative standings over every stored tournament
+   * @returns {string} HTML
+   */
+  static renderSeason() {
+    const entries = new SeasonStandings(this.records).entries;
+    return `
+      <h3 style="text-align:center;">Season Standings (${this.records.length} ${this.records.length === 1 ? "event" : "events"})</h3>
+      <table class="history-table">
+        <thead><tr><th>#</th><th>Player</th><th>Events</th><th>Titles</th><th>Pts</th><th>W</th><th>L</th><th>T</th><th>Rounds (W-L-T)</th><th>Best</th></tr></thead>
+        <tbody>
+          ${entries.map(entry => `
+            <tr class="${entry.rank === 1 ? "highlight" : ""}">
+              <td>${Standings.formatRank(entry)}</td>
+              <td>${escapeHtml(entry.name)}</td>
+              <td>${entry.events}</td>
+              <td>${entry.titles}</td>
+              <td>${entry.points}</td>
+              <td>${entry.wins}</td>
+              <td>${entry.losses}</td>
+              <td>${entry.ties}</td>
+              <td>${entry.roundWins}-${entry.roundLosses}-${entry.roundTies}</td>
+              <td>${entry.bestFinish}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Rating history of one player across the stored events, as an SVG line chart
+   * @returns {string} HTML
+   */
+  static renderRatings() {
+    const ratings = RatingBook.fromHistory(this.records, document.getElementById("ratingSystem").value);
+    const names = [...ratings.history.keys()].sort();
+    if (names.length === 0) return "";
+    if (!names.includes(this.selectedPlayer)) this.selectedPlayer = names[0];
+
+    const points = ratings.history.get(this.selectedPlayer);
+    const start = RATING_SYSTEMS[ratings.system].initial().rating;
+    const values = [start, ...points.map(point => point.rating)];
+    const width = 600, height = 220, padding = 40;
+    const low = Math.min(...values) - 10, high = Math.max(...values) + 10;
+    const x = index => padding + (values.length === 1 ? 0 : index * (width - 2 * padding) / (values.length - 1));
+    const y = value => height - padding - (value - low) * (height - 2 * padding) / (high - low);
+    const labels = ["Start", ...points.map(point => `${point.label} (${new Date(point.date).toLocaleDateString()})`)];
+
+    return `
+      <h3 style="text-align:center;">Rating History (${ratings.label})</h3>
+      <div class="rating-chart">
+        <select data-control="rating-player" aria-label="Player">
+          ${names.map(name => `<option value="${escapeHtml(name)}" ${name === this.selectedPlayer ? "selected" : ""}>${escapeHtml(name)}</option>`).join("")}
+        </select>
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Rating history of ${escapeHtml(this.selectedPlayer)}">
+          <line class="axis" x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" />
+          <line class="axis" x1="${padding}" y1="${padding}" x2="${padding}" y2="${height - padding}" />
+          <text x="${padding - 6}" y="${y(high - 10)}" text-anchor="end">${high - 10}</text>
+          <text x="${padding - 6}" y="${y(low + 10)}" text-anchor="end">${low + 10}</text>
+          <polyline points="${values.map((value, index) => `${x(index)},${y(value)}`).join(" ")}" />
+          ${values.map((value, index) => `
+            <circle cx="${x(index)}" cy="${y(value)}" r="4"><title>${escapeHtml(labels[index])}: ${value}</title></circle>
+          `).join("")}
+        </svg>
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,205 @@
+import { normalizeCell } from './sources.js';
+
+/**
+ * Tournament history
+ * Keeps every completed tournament in IndexedDB so weekly sessions survive a
+ * refresh, and merges them into season-long standings.
+ */
+export class TournamentHistory {
+  static STORE = "tournaments";
+
+  /**
+   * @param {string} [databaseName] - IndexedDB database name
+   */
+  constructor(databaseName = "rps-tournament-history") {
+    this.databaseName = databaseName;
+    this.database = null;
+  }
+
+  /**
+   * Opens the database, creating the store on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+          reject(new Error("This browser cannot store tournament history"));
+          return;
+        }
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(TournamentHistory.STORE, { keyPath: "id", autoIncrement: true });
+          store.createIndex("savedAt", "savedAt");
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      this.database.catch(() => { this.database = null; });
+    }
+    return this.database;
+  }
+
+  /**
+   * Runs one request against the store and waits for its transaction to complete
+   * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+   * @param {function(IDBObjectStore): IDBRequest} operation - Issues the request
+   * @returns {Promise<*>} Result of the request
+   */
+  async request(mode, operation) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(TournamentHistory.STORE, mode);
+      const request = operation(transaction.objectStore(TournamentHistory.STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error("History transaction aborted"));
+    });
+  }
+
+  /**
+   * Stores a completed tournament
+   * @param {Object} record - Record built by TournamentHistory.recordFor
+   * @returns {Promise<number>} Id of the stored record
+   */
+  save(record) {
+    return this.request("readwrite", store => store.add(record));
+  }
+
+  /**
+   * Lists every stored tournament, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    const records = await this.request("readonly", store => store.getAll());
+    return records.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  /**
+   * Reads one stored tournament
+   * @param {number} id - Record id
+   * @returns {Promise<Object|undefined>}
+   */
+  get(id) {
+    return this.request("readonly", store => store.get(id));
+  }
+
+  /**
+   * Removes a stored tournament
+   * @param {number} id - Record id
+   * @returns {Promise<void>}
+   */
+  delete(id) {
+    return this.request("readwrite", store => store.delete(id));
+  }
+
+  /**
+   * Builds the history record of a finished tournament
+   * @param {Tournament} tournament - Finished tournament with its replay log
+   * @param {string} label - Where the roster came from and which entries were included
+   * @returns {Object} Record with the settings, roster and results
+   */
+  static recordFor(tournament, label) {
+    const standings = tournament.getLeaderboard().map(entry => ({
+      rank: entry.rank,
+      sharedRank: entry.sharedRank,
+      decidedByPlayoff: entry.decidedByPlayoff || false,
+      champion: entry.champion,
+      live: entry.live,
+      bot: entry.bot,
+      ...Object.fromEntries(tournament.leaderboardColumns().map(column => [column.key, entry[column.key]])),
+      name: entry.name,
+      points: entry.points,
+      wins: entry.wins,
+      losses: entry.losses,
+      ties: entry.ties,
+      roundWins: entry.roundWins,
+      roundLosses: entry.roundLosses,
+      roundTies: entry.roundTies,
+      opponents: entry.opponents.map(opponent => ({ ...opponent }))
+    }));
+
+    return {
+      savedAt: new Date().toISOString(),
+      label,
+      format: tournament.format.name,
+      champion: tournament.championName(),
+      playerCount: tournament.players.length,
+      settings: tournament.settingsSnapshot(),
+      roster: tournament.log.roster,
+      ratingSystem: tournament.ratings.system,
+      ratedMatches: tournament.ratings.eventMatches,
+      columns: tournament.leaderboardColumns().map(({ key, label }) => ({ key, label })),
+      standings,
+      replay: tournament.log.serialize()
+    };
+  }
+}
+
+/**
+ * Cumulative standings over several stored tournaments. Players are matched
+ * across events by normalized name.
+ */
+export class SeasonStandings {
+  /**
+   * @param {Array<Object>} records - Stored tournament records
+   */
+  constructor(records) {
+    this.records = records;
+  }
+
+  /**
+   * Name used to recognise the same player across events
+   * @param {string} name - Name as entered
+   * @returns {string}
+   */
+  static normalizeName(name) {
+    return normalizeCell(name).replace(/\s+/g, " ");
+  }
+
+  /**
+   * Merged records, ranked by points, then wins, then round difference
+   * @returns {Array<Object>} Entries with name, events, titles, points, match and round totals, bestFinish, rank and sharedRank
+   */
+  get entries() {
+    const merged = new Map();
+
+    for (const record of this.records) {
+      // Knockout winners need not top the points, so the record's champion
+      // decides the title. Only a shared first place has no champion.
+      const champion = record.champion == null ? null : SeasonStandings.normalizeName(record.champion);
+      for (const entry of record.standings) {
+        const key = SeasonStandings.normalizeName(entry.name);
+        if (!merged.has(key)) {
+          merged.set(key, {
+            name: key, events: 0, titles: 0, points: 0, wins: 0, losses: 0, ties: 0,
+            roundWins: 0, roundLosses: 0, roundTies: 0, bestFinish: Infinity
+          });
+        }
+        const season = merged.get(key);
+        season.events++;
+        if (champion === null ? entry.rank === 1 : key === champion) season.titles++;
+        season.points += entry.points;
+        season.wins += entry.wins;
+        season.losses += entry.losses;
+        season.ties += entry.ties;
+        season.roundWins += entry.roundWins;
+        season.roundLosses += entry.roundLosses;
+        season.roundTies += entry.roundTies;
+        season.bestFinish = Math.min(season.bestFinish, entry.rank);
+      }
+    }
+
+    const roundDiff = entry => entry.roundWins - entry.roundLosses;
+    const compare = (a, b) => b.points - a.points || b.wins - a.wins || roundDiff(b) - roundDiff(a);
+    const entries = [...merged.values()].sort((a, b) => compare(a, b) || a.name.localeCompare(b.name));
+
+    entries.forEach((entry, index) => {
+      const previous = entries[index - 1];
+      const next = entries[index + 1];
+      entry.rank = previous && compare(previous, entry) === 0 ? previous.rank : index + 1;
+      entry.sharedRank = (previous && compare(previous, entry) === 0) || (next && compare(entry, next) === 0) || false;
+    });
+    return entries;
+  }
+}
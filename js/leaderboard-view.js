@@ -0,0 +1,348 @@
+import { CONFIG } from './config.js';
+import { Standings } from './standings.js';
+import { element, stableId } from './dom.js';
+
+/**
+ * Live leaderboard
+ * Rows are keyed by player and patched in place: a standings update only
+ * touches the rows whose values changed and slides moved rows to their new
+ * place, so whatever the viewer has expanded stays open. Rows that start out
+ * of view are filled in once they scroll near it, and a player's match
+ * breakdown is only built while it is open.
+ */
+export class LeaderboardView {
+  static container = () => document.getElementById("sheetData");
+
+  // Rows by player name: { name, main, details, entry, signature, detailsSignature, filled }
+  static rows = new Map();
+  static rowsByDetailsId = new Map();
+  static rowsByElement = new WeakMap();
+  // Kept across updates and rebuilds, so the viewer's choices survive
+  static expanded = new Set();
+  static openBreakdowns = new Set();
+
+  static table = null;
+  static body = null;
+  static caption = null;
+  static columns = [];
+  static columnsKey = "";
+  static observer = null;
+  static pending = null;
+  static frame = null;
+
+  /**
+   * Shows new standings at the next animation frame. A fast run can finish
+   * several matches between two frames; only the latest standings are drawn.
+   * @param {Array} leaderboard - Ranked leaderboard data
+   * @param {Array<{key: string, label: string}>} [columns] - Tiebreak and format-specific columns
+   * @param {string} [caption] - Line shown under the title, e.g. the move policy in effect
+   */
+  static update(leaderboard, columns = [], caption = "") {
+    this.pending = { leaderboard, columns, caption };
+    if (typeof requestAnimationFrame !== 'function') {
+      this.flush();
+    } else if (this.frame === null) {
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this.flush();
+      });
+    }
+  }
+
+  /**
+   * Draws standings waiting for the next frame right away
+   */
+  static flush() {
+    if (!this.pending) return;
+    const { leaderboard, columns, caption } = this.pending;
+    this.pending = null;
+    this.render(leaderboard, columns, caption);
+  }
+
+  /**
+   * Brings the table in line with the standings
+   * @param {Array} leaderboard - Ranked leaderboard data
+   * @param {Array<{key: string, label: string}>} [columns] - Tiebreak and format-specific columns
+   * @param {string} [caption] - Line shown under the title
+   */
+  static render(leaderboard, columns = [], caption = "") {
+    if (!this.table?.isConnected || JSON.stringify(columns) !== this.columnsKey) {
+      this.build(columns);
+    }
+    this.caption.textContent = caption;
+    this.caption.hidden = !caption;
+
+    const before = this.positions();
+    const present = new Set();
+    let previous = null;
+    for (const entry of leaderboard) {
+      present.add(entry.name);
+      const row = this.rows.get(entry.name) || this.createRow(entry.name);
+      row.entry = entry;
+      this.patch(row);
+
+      // Rows already in place are left alone; only moved rows touch the DOM
+      const reference = previous ? previous.details.nextSibling : this.body.firstChild;
+      if (row.main !== reference) {
+        this.body.insertBefore(row.main, reference);
+        this.body.insertBefore(row.details, row.main.nextSibling);
+      }
+      previous = row;
+    }
+
+    for (const [name, row] of this.rows) {
+      if (present.has(name)) continue;
+      this.observer?.unobserve(row.main);
+      row.main.remove();
+      row.details.remove();
+      this.rows.delete(name);
+      this.rowsByDetailsId.delete(row.details.id);
+    }
+
+    this.slide(before);
+  }
+
+  /**
+   * Starts an empty table for a set of columns
+   * @param {Array<{key: string, label: string}>} columns - Tiebreak and format-specific columns
+   */
+  static build(columns) {
+    this.observer?.disconnect();
+    this.rows.clear();
+    this.rowsByDetailsId.clear();
+    this.columns = columns;
+    this.columnsKey = JSON.stringify(columns);
+    this.observer = typeof IntersectionObserver === 'function'
+      ? new IntersectionObserver(entries => this.reveal(entries), { rootMargin: "200px 0px" })
+      : null;
+
+    this.caption = element("p", { className: "leaderboard-caption" });
+    this.body = element("tbody");
+    this.table = element("table", {},
+      element("thead", {}, element("tr", {},
+        ["#", "Player", "Wins", "Losses", "Ties", ...columns.map(column => column.label)].map(label => element("th", {}, label))
+      )),
+      this.body
+    );
+
+    const container = this.container();
+    container.onclick = (event) => {
+      const toggle = event.target.closest("[aria-controls]");
+      if (toggle) this.toggle(toggle);
+    };
+    container.replaceChildren(element("h3", { style: "text-align:center;" }, "Live Leaderboard"), this.caption, this.table);
+  }
+
+  /**
+   * Creates the rows of a player. Until the main row comes into view it is
+   * an empty placeholder of the same height.
+   * @param {string} name - Player name
+   * @returns {Object} The player's rows
+   */
+  static createRow(name) {
+    const detailsId = stableId("details", name);
+    const row = {
+      name,
+      main: element("tr", { className: "leaderboard-row" }),
+      details: element("tr", { id: detailsId, className: "hidden-row" }),
+      entry: null,
+      signature: null,
+      detailsSignature: null,
+      filled: !this.observer
+    };
+    if (this.observer) {
+      row.main.classList.add("leaderboard-pending");
+      row.main.append(element("td", { colSpan: 5 + this.columns.length }));
+      this.observer.observe(row.main);
+    }
+
+    this.rows.set(name, row);
+    this.rowsByDetailsId.set(detailsId, row);
+    this.rowsByElement.set(row.main, row);
+    return row;
+  }
+
+  /**
+   * Fills placeholder rows that came into view
+   * @param {Array<IntersectionObserverEntry>} entries - Observed changes
+   */
+  static reveal(entries) {
+    for (const { target, isIntersecting } of entries) {
+      if (!isIntersecting) continue;
+      const row = this.rowsByElement.get(target);
+      this.observer.unobserve(target);
+      if (!row || this.rows.get(row.name) !== row) continue;
+      row.filled = true;
+      row.main.classList.remove("leaderboard-pending");
+      this.patch(row);
+    }
+  }
+
+  /**
+   * Redraws the parts of a player's rows whose values changed
+   * @param {Object} row - The player's rows
+   */
+  static patch(row) {
+    const { entry } = row;
+    row.main.classList.toggle("highlight", Boolean(entry.champion));
+
+    const signature = JSON.stringify([
+      Standings.formatRank(entry), entry.decidedByPlayoff, entry.live, entry.bot,
+      entry.wins, entry.losses, entry.ties, ...this.columns.map(column => entry[column.key])
+    ]);
+    if (row.filled && signature !== row.signature) {
+      row.signature = signature;
+      row.main.replaceChildren(...this.cells(entry, row.details.id));
+    }
+
+    const open = this.expanded.has(row.name);
+    row.details.style.display = open ? "table-row" : "none";
+    if (open) this.patchDetails(row);
+  }
+
+  /**
+   * Cells of a player's main row
+   * @param {Object} entry - Leaderboard entry
+   * @param {string} detailsId - ID of the player's details row
+   * @returns {Array<HTMLElement>}
+   */
+  static cells(entry, detailsId) {
+    const cell = value => element("td", {}, value);
+    return [
+      cell(Standings.formatRank(entry)),
+      element("td", { className: "expandable", attributes: { "aria-controls": detailsId, "aria-expanded": String(this.expanded.has(entry.name)) } },
+        entry.name,
+        entry.decidedByPlayoff && [" ", element("span", { className: "badge" }, "playoff")],
+        entry.live && [" ", element("span", { className: "badge" }, "live")],
+        entry.bot && [" ", element("span", { className: "badge bot" }, `🤖 ${entry.bot}`)]
+      ),
+      cell(entry.wins),
+      cell(entry.losses),
+      cell(entry.ties),
+      ...this.columns.map(column => cell(entry[column.key]))
+    ];
+  }
+
+  /**
+   * Rebuilds an open details row when the player's matches changed
+   * @param {Object} row - The player's rows
+   */
+  static patchDetails(row) {
+    const { entry } = row;
+    const signature = JSON.stringify([entry.roundWins, entry.roundLosses, entry.roundTies, entry.opponents]);
+    if (signature === row.detailsSignature) return;
+    row.detailsSignature = signature;
+
+    const cell = value => element("td", {}, value);
+    row.details.replaceChildren(element("td", { colSpan: 5 + this.columns.length },
+      element("table", {},
+        element("thead", {}, element("tr", {}, ["Round Wins", "Round Losses", "Round Ties"].map(label => element("th", {}, label)))),
+        element("tbody", {}, element("tr", {}, cell(entry.roundWins), cell(entry.roundLosses), cell(entry.roundTies)))
+      ),
+      element("h4", {}, "Matches Played:"),
+      element("table", {},
+        element("thead", {}, element("tr", {}, element("th", {}, "Opponent"), element("th", {}, "Result"))),
+        element("tbody", {}, entry.opponents.map((opponent, index) => {
+          const breakdownId = stableId("dropdown", JSON.stringify([entry.name, index]));
+          const open = this.openBreakdowns.has(breakdownId);
+          return element("tr", {},
+            cell(opponent.vs),
+            element("td", {},
+              element("div", { className: "dropdown" },
+                element("span", { className: "underline", attributes: { "aria-controls": breakdownId, "aria-expanded": String(open) } }, opponent.result),
+                element("div", { id: breakdownId, className: open ? "dropdown-content show-dropdown" : "dropdown-content" },
+                  element("a", {}, `Round Wins: ${opponent.roundWins}`),
+                  element("a", {}, `Round Losses: ${opponent.roundLosses}`),
+                  element("a", {}, `Round Ties: ${opponent.roundTies}`),
+                  opponent.rounds !== undefined && element("a", {}, `Rounds Played: ${opponent.rounds}`),
+                  opponent.note && element("a", {}, `Note: ${opponent.note}`)
+                )
+              )
+            )
+          );
+        }))
+      )
+    ));
+  }
+
+  /**
+   * Opens or closes what a toggle controls: a player's details row or the
+   * breakdown of one of their matches
+   * @param {HTMLElement} toggle - Element whose aria-controls names the section
+   */
+  static toggle(toggle) {
+    const id = toggle.getAttribute("aria-controls");
+    const open = toggle.getAttribute("aria-expanded") !== "true";
+    toggle.setAttribute("aria-expanded", String(open));
+
+    const row = this.rowsByDetailsId.get(id);
+    if (row) {
+      if (open) {
+        this.expanded.add(row.name);
+      } else {
+        this.expanded.delete(row.name);
+      }
+      this.patch(row);
+      return;
+    }
+
+    if (open) {
+      this.openBreakdowns.add(id);
+    } else {
+      this.openBreakdowns.delete(id);
+    }
+    document.getElementById(id)?.classList.toggle("show-dropdown", open);
+  }
+
+  /**
+   * Where the rows on screen are, to slide them from there after a reorder
+   * @returns {Map<Object, number>|null} Top of each visible row, null when nothing should move
+   */
+  static positions() {
+    const mayAnimate = typeof Element !== 'undefined' && typeof Element.prototype.animate === 'function'
+      && !window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    if (!mayAnimate || this.rows.size === 0) return null;
+
+    const positions = new Map();
+    for (const row of this.rows.values()) {
+      const { top, bottom } = row.main.getBoundingClientRect();
+      if (bottom >= 0 && top <= window.innerHeight) positions.set(row, top);
+    }
+    return positions;
+  }
+
+  /**
+   * Slides rows that moved from their old place to the new one
+   * @param {Map<Object, number>|null} before - Result of positions before the reorder
+   */
+  static slide(before) {
+    if (!before) return;
+    for (const [row, top] of before) {
+      if (!row.main.isConnected) continue;
+      const offset = top - row.main.getBoundingClientRect().top;
+      if (Math.abs(offset) < 1) continue;
+      row.main.animate(
+        [{ transform: `translateY(${offset}px)` }, { transform: "none" }],
+        { duration: CONFIG.ROW_MOVE_DURATION, easing: "ease-out" }
+      );
+    }
+  }
+
+  /**
+   * Removes the leaderboard and drops standings waiting for a frame. What the
+   * viewer had expanded is remembered only within one run.
+   */
+  static clear() {
+    if (this.frame !== null) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.pending = null;
+    this.observer?.disconnect();
+    this.observer = null;
+    this.rows.clear();
+    this.rowsByDetailsId.clear();
+    this.expanded.clear();
+    this.openBreakdowns.clear();
+    this.table = null;
+    this.container().replaceChildren();
+  }
+}
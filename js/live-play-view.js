@@ -0,0 +1,131 @@
+/**
+ * Live-play move input
+ * Two players pick their moves on the same screen, by keyboard or by clicking
+ * the move images. Choices stay hidden until both sides are locked in; the
+ * reveal is left to the round animation.
+ */
+import { UI } from './ui.js';
+import { element } from './dom.js';
+
+export class LivePlayView {
+  static container = () => document.getElementById("animation");
+
+  /** Keys of each side, assigned to the rule set's moves in order */
+  static KEYS = ["asdfgqwertzxcvb", "hjkl;yuiopnm,./"];
+
+  static pending = null;
+
+  /**
+   * Waits until both sides have a move for the round. A side that is not
+   * live already has its move and shows as locked in from the start.
+   * @param {Array<{player: Player, move: string|null}>} sides - Both sides, with the sheet move of a non-live player
+   * @param {Object} round - Round details shown above the pickers
+   * @param {number} round.number - Round number within the match
+   * @param {Array<number>} round.score - Rounds won by each side so far
+   * @param {number} round.bestOf - Length of the match
+   * @param {RuleSet} ruleSet - Rule set of the run
+   * @returns {Promise<Array<string>>} Both moves
+   */
+  static chooseMoves(sides, round, ruleSet) {
+    return new Promise(resolve => {
+      this.pending = {
+        names: sides.map(side => side.player.name),
+        live: sides.map(side => side.player.live),
+        choices: sides.map(side => (side.player.live ? null : side.move)),
+        round,
+        ruleSet,
+        resolve
+      };
+
+      this.container().onclick = (event) => {
+        const button = event.target.closest("[data-live-move]");
+        if (button) this.lock(Number(button.dataset.side), button.dataset.liveMove);
+      };
+      this.render();
+    });
+  }
+
+  /**
+   * Locks in a move typed on the keyboard
+   * @param {KeyboardEvent} event - Key press
+   * @returns {boolean} Whether the key belonged to a live picker
+   */
+  static handleKey(event) {
+    if (!this.pending) return false;
+
+    const key = event.key.toLowerCase();
+    for (let side = 0; side < 2; side++) {
+      const index = this.KEYS[side].indexOf(key);
+      const move = this.pending.ruleSet.keys[index];
+      if (index !== -1 && move && this.pending.live[side]) {
+        event.preventDefault();
+        this.lock(side, move);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Records a side's move and resolves once both sides are in
+   * @param {number} side - 0 for the first player, 1 for the second
+   * @param {string} move - Move key
+   */
+  static lock(side, move) {
+    const pending = this.pending;
+    if (!pending || !pending.live[side] || pending.choices[side]) return;
+
+    pending.choices[side] = move;
+    if (pending.choices.every(Boolean)) {
+      this.pending = null;
+      this.container().onclick = null;
+      pending.resolve(pending.choices);
+    } else {
+      this.render();
+    }
+  }
+
+  /**
+   * Drops an unanswered prompt, e.g. when the run is aborted
+   */
+  static cancel() {
+    this.pending = null;
+    this.container().onclick = null;
+  }
+
+  /**
+   * Draws the round header and a picker for each side, or its locked-in
+   * state. Names and move labels come from the sheet and rule set, so they
+   * only reach the page as text.
+   */
+  static render() {
+    const { names, live, choices, round, ruleSet } = this.pending;
+
+    const picker = side => {
+      if (choices[side]) {
+        return element("div", { className: "live-locked" }, `🔒 ${live[side] ? "Locked in" : "Move submitted in the sheet"}`);
+      }
+      return element("div", { className: "move-options" },
+        ruleSet.keys.map((move, index) => element("button", {
+          className: "move-option",
+          title: ruleSet.label(move),
+          dataset: { side, liveMove: move }
+        },
+          UI.moveNode(move, ruleSet),
+          this.KEYS[side][index] && element("kbd", {}, this.KEYS[side][index].toUpperCase())
+        ))
+      );
+    };
+
+    const sides = [0, 1].map(side => element("div", { className: "live-side" },
+      element("div", { className: "live-name" }, names[side]),
+      picker(side)
+    ));
+    this.container().replaceChildren(
+      element("div", { className: "live-play" },
+        element("div", { className: "live-round" }, `Round ${round.number} · Best of ${round.bestOf} · ${round.score[0]}–${round.score[1]}`),
+        element("div", { className: "live-sides" }, sides[0], element("div", { className: "live-vs" }, "VS"), sides[1])
+      )
+    );
+  }
+}
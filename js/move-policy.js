@@ -0,0 +1,121 @@
+/**
+ * Policies for matches between players who submitted different numbers of moves
+ */
+import { CONFIG } from './config.js';
+
+/**
+ * Labels for the available policies
+ * @type {Object.<string, string>}
+ */
+export const MOVE_POLICIES = {
+  shortest: "Play as many rounds as the shorter move list",
+  forfeit: "Play the longer move list, missing moves are forfeited",
+  fixed: "Fixed round count, missing moves are forfeited",
+  cycle: "Repeat a player's moves to fill the rounds",
+  disqualify: "Disqualify entries with too few moves"
+};
+
+export class MovePolicy {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.type='shortest'] - Key of MOVE_POLICIES
+   * @param {number|null} [options.rounds=null] - Required round count; the longest move list when not set
+   */
+  constructor({ type = 'shortest', rounds = null } = {}) {
+    if (!MOVE_POLICIES[type]) {
+      throw new Error(`Unknown move policy: ${type}`);
+    }
+    this.type = type;
+    this.requestedRounds = rounds;
+    this.requiredRounds = rounds;
+  }
+
+  /**
+   * Settles the required round count for the roster and disqualifies short
+   * entries when the policy asks for it
+   * @param {Array<Player>} players - Parsed players
+   * @returns {{eligible: Array<Player>, disqualified: Array<Player>}}
+   */
+  prepare(players) {
+    this.requiredRounds = this.requestedRounds || Math.max(0, ...players.map(player => player.moves.length));
+
+    if (this.type !== 'disqualify') {
+      return { eligible: players, disqualified: [] };
+    }
+    return {
+      eligible: players.filter(player => player.moveCount >= this.requiredRounds),
+      disqualified: players.filter(player => player.moveCount < this.requiredRounds)
+    };
+  }
+
+  /**
+   * Number of rounds two players play against each other
+   * @param {Player} player1 - First player
+   * @param {Player} player2 - Second player
+   * @returns {number}
+   */
+  roundCount(player1, player2) {
+    switch (this.type) {
+      case 'forfeit':
+        return Math.max(player1.moves.length, player2.moves.length);
+      case 'cycle':
+        return this.requestedRounds || Math.max(player1.moves.length, player2.moves.length);
+      case 'fixed':
+      case 'disqualify':
+        return this.requiredRounds;
+      default:
+        return Math.min(player1.moves.length, player2.moves.length);
+    }
+  }
+
+  /**
+   * Move a player makes in a round under this policy. A blank cell within the
+   * player's moves is always forfeited; past the end of them the round is
+   * forfeited where missing moves are, and not played otherwise.
+   * @param {Player} player - Player
+   * @param {number} round - Zero-based round index
+   * @returns {string|undefined} Move, the forfeit move, or undefined once the player's moves have run out
+   */
+  moveFor(player, round) {
+    const move = player.moves[round];
+    switch (this.type) {
+      case 'forfeit':
+      case 'fixed':
+        return move || CONFIG.FORFEIT_MOVE;
+      case 'cycle':
+        return player.moves[round % player.moves.length] || CONFIG.FORFEIT_MOVE;
+      default:
+        return round < player.moves.length ? move || CONFIG.FORFEIT_MOVE : undefined;
+    }
+  }
+
+  /**
+   * Explains how the policy affected one player's side of a match
+   * @param {Player} player - Player
+   * @param {number} rounds - Rounds played in the match
+   * @returns {string} Note for the match details, empty when nothing was filled in
+   */
+  noteFor(player, rounds) {
+    if (this.type === 'cycle') {
+      return rounds > player.moves.length ? `moves repeated to fill ${rounds} rounds` : "";
+    }
+    const missing = Array.from({ length: rounds }, (_, round) => player.moves[round]).filter(move => !move).length;
+    return missing > 0 ? `${missing} missing move(s) forfeited` : "";
+  }
+
+  /**
+   * Summary shown with the leaderboard
+   * @returns {string}
+   */
+  get description() {
+    switch (this.type) {
+      case 'fixed':
+      case 'disqualify':
+        return `${MOVE_POLICIES[this.type]} (${this.requiredRounds} rounds)`;
+      case 'cycle':
+        return this.requestedRounds ? `${MOVE_POLICIES.cycle} (${this.requestedRounds} rounds)` : MOVE_POLICIES.cycle;
+      default:
+        return MOVE_POLICIES[this.type];
+    }
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * Playback control for a running tournament
+ * Every delay of a run goes through `wait`, which is where pausing, skipping
+ * the current match, finishing instantly and aborting take effect.
+ */
+
+/**
+ * Thrown out of a running tournament when the organiser aborts it
+ */
+export class TournamentAbortedError extends Error {
+  constructor() {
+    super("Tournament aborted");
+    this.name = 'TournamentAbortedError';
+  }
+}
+
+export class PlaybackController {
+  constructor() {
+    this.state = 'idle'; // 'idle' | 'running' | 'paused' | 'instant' | 'aborted'
+    this.skipping = false;
+    this.resumeWaiters = [];
+    this.timer = null;
+    this.wake = null;
+    this.cancelInput = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Whether round and match animations should be shown right now
+   * @returns {boolean}
+   */
+  get animationsEnabled() {
+    return this.state !== 'instant' && !this.skipping;
+  }
+
+  /**
+   * Whether the rest of the run is being played without any animation
+   * @returns {boolean}
+   */
+  get isInstant() {
+    return this.state === 'instant';
+  }
+
+  /**
+   * Registers a callback fired whenever the playback state changes
+   * @param {function(PlaybackController): void} listener - Callback
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Marks the start of a run
+   */
+  start() {
+    this.state = 'running';
+    this.skipping = false;
+    this.notify();
+  }
+
+  /**
+   * Marks the end of a run, whether it finished or was aborted
+   */
+  stop() {
+    this.state = 'idle';
+    this.skipping = false;
+    this.releaseWaiters();
+    this.notify();
+  }
+
+  /**
+   * Marks the start of a match, ending any skip requested for the previous one
+   */
+  beginMatch() {
+    this.skipping = false;
+  }
+
+  /**
+   * Throws if the run has been aborted
+   * @throws {TournamentAbortedError}
+   */
+  checkpoint() {
+    if (this.state === 'aborted') {
+      throw new TournamentAbortedError();
+    }
+  }
+
+  /**
+   * Waits for an animation delay, honouring skip, instant finish, pause and abort
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>}
+   * @throws {TournamentAbortedError} If the run is aborted while waiting
+   */
+  async wait(ms) {
+    this.checkpoint();
+
+    if (this.animationsEnabled && ms > 0) {
+      await new Promise(resolve => {
+        this.wake = resolve;
+        this.timer = setTimeout(resolve, ms);
+      });
+      this.wake = null;
+    }
+
+    while (this.state === 'paused') {
+      await new Promise(resolve => this.resumeWaiters.push(resolve));
+    }
+
+    this.checkpoint();
+  }
+
+  /**
+   * Cuts the current delay short
+   */
+  interrupt() {
+    clearTimeout(this.timer);
+    this.wake?.();
+  }
+
+  releaseWaiters() {
+    const waiters = this.resumeWaiters;
+    this.resumeWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  pause() {
+    if (this.state !== 'running') return;
+    this.state = 'paused';
+    this.notify();
+  }
+
+  resume() {
+    if (this.state !== 'paused') return;
+    this.state = 'running';
+    this.releaseWaiters();
+    this.notify();
+  }
+
+  togglePause() {
+    if (this.state === 'paused') {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * Skips the remaining animation of the current match
+   */
+  skipMatch() {
+    if (this.state !== 'running' && this.state !== 'paused') return;
+    this.skipping = true;
+    this.resume();
+    this.interrupt();
+  }
+
+  /**
+   * Plays the rest of the run with every animation turned off
+   */
+  finishInstantly() {
+    if (this.state !== 'running' && this.state !== 'paused') return;
+    this.state = 'instant';
+    this.releaseWaiters();
+    this.interrupt();
+    this.notify();
+  }
+
+  /**
+   * Stops the run at the next delay
+   */
+  abort() {
+    if (this.state === 'idle' || this.state === 'aborted') return;
+    this.state = 'aborted';
+    this.releaseWaiters();
+    this.interrupt();
+    this.cancelInput?.();
+    this.notify();
+  }
+
+  /**
+   * Waits for input from the players; aborting the run ends the wait
+   * @param {Promise<*>} request - Pending input
+   * @returns {Promise<*>} The input
+   * @throws {TournamentAbortedError} If the run is aborted while waiting
+   */
+  async input(request) {
+    this.checkpoint();
+    const aborted = new Promise((resolve, reject) => {
+      this.cancelInput = () => reject(new TournamentAbortedError());
+    });
+    try {
+      return await Promise.race([request, aborted]);
+    } finally {
+      this.cancelInput = null;
+    }
+  }
+}
@@ -0,0 +1,129 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Sudden-death playoff between players tied for first place
+ *
+ * Each playoff round every contender plays one move against every other
+ * contender. Only the players with the most round wins survive; when nobody
+ * wins a round (all ties, or a rock-paper-scissors cycle) everyone stays in.
+ * Moves come from each player's spare sheet columns, i.e. the moves after the
+ * ones used in regulation, and are asked for live once those run out.
+ */
+export class Playoff {
+  /**
+   * @param {Tournament} tournament - Tournament the playoff decides
+   * @param {Array<Player>} contenders - Players tied for first place
+   */
+  constructor(tournament, contenders) {
+    this.tournament = tournament;
+    this.contenders = contenders;
+    this.nextSpareMove = new Map(contenders.map(player => [player, player.movesUsed]));
+    this.rounds = [];
+    this.champion = null;
+  }
+
+  /**
+   * Plays sudden-death rounds until a single player remains
+   * @returns {Promise<Player|null>} Champion, or null if the playoff was cancelled or ran too long
+   */
+  async run() {
+    let remaining = [...this.contenders];
+
+    if (this.tournament.playback.animationsEnabled) {
+      this.tournament.emit('stage', { kind: 'playoff', label: `Playoff: ${remaining.map(player => player.name).join(" vs ")}` });
+    }
+    await this.tournament.delay(CONFIG.MATCH_DELAY * 5 / this.tournament.speedMultiplier);
+
+    while (remaining.length > 1 && this.rounds.length < CONFIG.PLAYOFF_MAX_ROUNDS) {
+      const roundNumber = this.rounds.length + 1;
+      const moves = new Map();
+      for (const player of remaining) {
+        const move = await this.nextMove(player, roundNumber);
+        if (!move) return null;
+        moves.set(player, move);
+      }
+
+      const roundWins = new Map(remaining.map(player => [player, 0]));
+      for (let i = 0; i < remaining.length; i++) {
+        for (let j = i + 1; j < remaining.length; j++) {
+          const [player1, player2] = [remaining[i], remaining[j]];
+          const result = this.tournament.determineWinner(moves.get(player1), moves.get(player2));
+          const winner = result === 1 ? player1 : result === 2 ? player2 : null;
+          const logEntry = this.tournament.log?.startMatch(player1, player2, `Playoff round ${roundNumber}`);
+          if (logEntry) {
+            this.tournament.log.recordRound(logEntry, { move1: moves.get(player1), move2: moves.get(player2), winner: result });
+            this.tournament.log.endMatch(logEntry, {
+              player1Wins: result === 1 ? 1 : 0,
+              player2Wins: result === 2 ? 1 : 0,
+              ties: result === 0 ? 1 : 0,
+              ...this.tournament.getMatchResult(result === 1 ? 1 : 0, result === 2 ? 1 : 0)
+            });
+          }
+          if (winner) roundWins.set(winner, roundWins.get(winner) + 1);
+
+          this.tournament.emit('round', {
+            player1,
+            player2,
+            move1: moves.get(player1),
+            move2: moves.get(player2),
+            winner: winner?.name ?? null,
+            animate: this.tournament.playback.animationsEnabled
+          });
+          await this.tournament.delay(CONFIG.ANIMATION_DELAY * 2 / this.tournament.speedMultiplier);
+        }
+      }
+
+      const best = Math.max(...roundWins.values());
+      const survivors = best > 0 ? remaining.filter(player => roundWins.get(player) === best) : remaining;
+      this.rounds.push({
+        moves: Object.fromEntries([...moves].map(([player, move]) => [player.name, move])),
+        eliminated: remaining.filter(player => !survivors.includes(player)).map(player => player.name)
+      });
+      remaining = survivors;
+    }
+
+    this.champion = remaining.length === 1 ? remaining[0] : null;
+    return this.champion;
+  }
+
+  /**
+   * Takes the player's next spare move, or asks for one live when none are left
+   * @param {Player} player - Contender
+   * @param {number} roundNumber - Current playoff round
+   * @returns {Promise<string|null>} Move, or null if live input was cancelled
+   */
+  async nextMove(player, roundNumber) {
+    let index = this.nextSpareMove.get(player);
+    while (index < player.moves.length && !player.moves[index]) index++;
+    this.nextSpareMove.set(player, index + 1);
+
+    const spare = player.moves[index];
+    if (spare) return spare;
+
+    return this.tournament.prompts.promptMove(player.name, `Playoff round ${roundNumber}: no spare moves left in the sheet`, this.tournament.ruleSet);
+  }
+
+  /**
+   * Re-ranks the players tied for first so the playoff champion stands alone
+   * @param {Array<Object>} leaderboard - Ranked leaderboard entries
+   * @returns {Array<Object>} Leaderboard with the playoff result applied
+   */
+  applyTo(leaderboard) {
+    if (!this.champion) return leaderboard;
+
+    const contenders = new Set(this.contenders.map(player => player.name));
+    const champion = leaderboard.find(entry => entry.name === this.champion.name);
+    const runnersUp = leaderboard.filter(entry => contenders.has(entry.name) && entry !== champion);
+    const rest = leaderboard.filter(entry => !contenders.has(entry.name));
+
+    champion.rank = 1;
+    champion.sharedRank = false;
+    champion.decidedByPlayoff = true;
+    runnersUp.forEach(entry => {
+      entry.rank = 2;
+      entry.sharedRank = runnersUp.length > 1;
+    });
+
+    return [champion, ...runnersUp, ...rest];
+  }
+}
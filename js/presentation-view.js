@@ -0,0 +1,313 @@
+import { CONFIG } from './config.js';
+import { Standings } from './standings.js';
+import { UI } from './ui.js';
+import { SoundEffects } from './sound-effects.js';
+import { element } from './dom.js';
+
+/**
+ * Presentation mode for running an event on a projector
+ * A full-screen stage that reveals each round head to head, with how far the
+ * run has got, a ticker cycling through the leaders and a celebration for the
+ * champion. It follows the run while hidden, so it can be opened at any point.
+ */
+export class PresentationView {
+  static container = () => document.getElementById("presentation");
+
+  static sounds = new SoundEffects();
+  static active = false;
+  // Whether the page went full screen for the presentation, and should leave it again
+  static fullscreen = false;
+  static parts = null;
+  // Match on the stage: { names, sides, score, wins }
+  static match = null;
+  static tickerKey = "";
+
+  /**
+   * Follows a tournament's events
+   * @param {Tournament} tournament - Engine to present
+   */
+  static connect(tournament) {
+    this.setSpeed(tournament.speedMultiplier);
+    tournament.on('stage', ({ label }) => this.showStage(label));
+    tournament.on('matchStart', ({ player1, player2, number, total, animate }) => {
+      this.showCount(number, total);
+      if (animate) this.showMatch(player1.name, player2.name);
+    });
+    tournament.on('round', ({ player1, player2, move1, move2, winner, animate }) => {
+      if (animate) this.showRound(player1.name, player2.name, move1, move2, winner, tournament.ruleSet);
+    });
+    tournament.on('standings', ({ leaderboard }) => this.updateTicker(leaderboard));
+    tournament.on('champion', outcome => this.celebrate(outcome));
+    tournament.on('speed', ({ multiplier }) => this.setSpeed(multiplier));
+  }
+
+  /**
+   * The parts of the screen, built on first use
+   * @returns {Object} Elements of the header, stage, ticker and celebration
+   */
+  static screen() {
+    if (this.parts?.arena.isConnected) return this.parts;
+
+    this.parts = {
+      stage: element("span", { className: "presentation-stage" }),
+      count: element("span", { className: "presentation-count" }),
+      mute: element("button", { dataset: { presentation: 'mute' }, title: "Sound effects (M)" }),
+      arena: element("div", { className: "presentation-arena" }),
+      track: element("div", { className: "presentation-ticker-track" }),
+      celebration: element("div", { className: "presentation-celebration", hidden: true })
+    };
+    const { stage, count, mute, arena, track, celebration } = this.parts;
+    arena.append(this.waiting());
+
+    const container = this.container();
+    container.onclick = (event) => {
+      const control = event.target.closest("[data-presentation]")?.dataset.presentation;
+      if (control === 'mute') {
+        this.toggleMute();
+      } else if (control === 'exit') {
+        this.exit();
+      } else if (control === 'dismiss') {
+        celebration.hidden = true;
+      }
+    };
+    container.replaceChildren(
+      element("header", { className: "presentation-header" },
+        stage,
+        count,
+        element("span", { className: "presentation-controls" },
+          mute,
+          element("button", { dataset: { presentation: 'exit' }, title: "Leave presentation mode (P)" }, "✕ Exit")
+        )
+      ),
+      arena,
+      element("div", { className: "presentation-ticker", attributes: { "aria-label": "Leaders" } }, track),
+      celebration
+    );
+    this.showMuted();
+    return this.parts;
+  }
+
+  /**
+   * Opens the presentation, full screen where the browser allows it
+   */
+  static enter() {
+    if (this.active) return;
+    this.screen();
+    this.active = true;
+    this.container().hidden = false;
+    document.body.classList.add("presenting");
+
+    const root = document.documentElement;
+    if (!document.fullscreenElement && typeof root.requestFullscreen === 'function') {
+      document.onfullscreenchange = () => {
+        if (!document.fullscreenElement && this.fullscreen) this.exit();
+      };
+      root.requestFullscreen()
+        .then(() => { this.fullscreen = true; })
+        .catch(() => {});
+    }
+  }
+
+  /**
+   * Closes the presentation and leaves full screen if it was entered for it
+   */
+  static exit() {
+    if (!this.active) return;
+    this.active = false;
+    this.container().hidden = true;
+    document.body.classList.remove("presenting");
+
+    if (this.fullscreen) {
+      this.fullscreen = false;
+      if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    }
+  }
+
+  /**
+   * Opens or closes the presentation
+   */
+  static toggle() {
+    if (this.active) {
+      this.exit();
+    } else {
+      this.enter();
+    }
+  }
+
+  /**
+   * Steps aside while a move is asked for on the page, so live players can
+   * see their pickers
+   * @param {Promise} prompt - Pending prompt
+   * @returns {Promise} The same prompt
+   */
+  static aside(prompt) {
+    const container = this.container();
+    container.classList.add("presentation-aside");
+    if (this.active) UI.elements.animation().scrollIntoView?.({ block: "center" });
+    return prompt.finally(() => container.classList.remove("presentation-aside"));
+  }
+
+  /**
+   * Shows the stage of the run, e.g. a Swiss round or a playoff
+   * @param {string} label - Stage label
+   */
+  static showStage(label) {
+    this.screen().stage.textContent = label;
+  }
+
+  /**
+   * Shows how far the run has got
+   * @param {number} number - Number of the match starting
+   * @param {number} total - Matches the format expects to play
+   */
+  static showCount(number, total) {
+    this.screen().count.textContent = `Match ${number} of ${Math.max(number, total)}`;
+  }
+
+  /**
+   * Puts a new match on the stage, both moves still hidden
+   * @param {string} name1 - Player 1 name
+   * @param {string} name2 - Player 2 name
+   */
+  static showMatch(name1, name2) {
+    const side = name => {
+      const move = element("div", { className: "presentation-move" }, "?");
+      return { move, card: element("div", { className: "presentation-player" }, element("div", { className: "presentation-name" }, name), move) };
+    };
+    const score = element("div", { className: "presentation-score" }, "0 – 0");
+    this.match = { names: [name1, name2], sides: [side(name1), side(name2)], score, wins: [0, 0] };
+
+    this.screen().arena.replaceChildren(
+      this.match.sides[0].card,
+      element("div", { className: "presentation-versus" }, score, element("div", {}, "vs")),
+      this.match.sides[1].card
+    );
+    if (this.active) this.sounds.play('matchStart');
+  }
+
+  /**
+   * Reveals the moves of a round and marks its winner
+   * @param {string} name1 - Player 1 name
+   * @param {string} name2 - Player 2 name
+   * @param {string} move1 - Player 1 move
+   * @param {string} move2 - Player 2 move
+   * @param {string|null} winner - Winner name or null for tie
+   * @param {RuleSet} ruleSet - Rule set the moves belong to
+   */
+  static showRound(name1, name2, move1, move2, winner, ruleSet) {
+    // Playoff rounds arrive without a match starting first
+    if (this.match?.names[0] !== name1 || this.match?.names[1] !== name2) this.showMatch(name1, name2);
+
+    const { names, sides, score, wins } = this.match;
+    [move1, move2].forEach((move, index) => {
+      const side = sides[index];
+      // A new element restarts the reveal animation
+      const revealed = element("div", { className: "presentation-move reveal" }, UI.moveNode(move, ruleSet));
+      side.move.replaceWith(revealed);
+      side.move = revealed;
+      side.card.classList.toggle("winner", winner === names[index]);
+      side.card.classList.toggle("loser", winner !== null && winner !== names[index]);
+      side.card.classList.toggle("tie", winner === null);
+      if (winner === names[index]) wins[index]++;
+    });
+    score.textContent = `${wins[0]} – ${wins[1]}`;
+    if (this.active) this.sounds.play(winner === null ? 'tie' : 'win');
+  }
+
+  /**
+   * Shows the leaders in the ticker. The ticker is only redrawn when they
+   * change, so its scrolling carries on smoothly.
+   * @param {Array} leaderboard - Ranked leaderboard data
+   */
+  static updateTicker(leaderboard) {
+    const leaders = leaderboard.slice(0, CONFIG.TICKER_SIZE);
+    const key = JSON.stringify(leaders.map(entry => [Standings.formatRank(entry), entry.name, entry.wins, entry.losses, entry.ties, entry.points]));
+    if (key === this.tickerKey) return;
+    this.tickerKey = key;
+
+    const item = (entry, copy) => element("span", { className: entry.rank === 1 ? "presentation-leader top" : "presentation-leader", attributes: { "aria-hidden": copy && "true" } },
+      element("strong", {}, Standings.formatRank(entry)),
+      ` ${entry.name} `,
+      element("small", {}, `${entry.wins}-${entry.losses}-${entry.ties} · ${entry.points} pts`)
+    );
+    const { track } = this.screen();
+    // The leaders appear twice in a row so the scroll wraps around without a gap
+    track.replaceChildren(...leaders.map(entry => item(entry, false)), ...leaders.map(entry => item(entry, true)));
+    track.style.setProperty("--ticker-duration", `${Math.max(leaders.length, 1) * CONFIG.TICKER_SECONDS_PER_LEADER}s`);
+  }
+
+  /**
+   * Shows the champion, or the co-champions, with confetti and a fanfare
+   * @param {Object} outcome - Details of the `champion` event
+   */
+  static celebrate({ champions, playoff, teamChampions }) {
+    const note = playoff?.decided ? `Decided by playoff after ${playoff.rounds} sudden-death round(s)`
+      : playoff ? "The playoff could not separate them" : "";
+    const confetti = Array.from({ length: CONFIG.CONFETTI_PIECES }, () => element("span", {
+      style: `--x:${Math.random() * 100}%;--delay:${(Math.random() * 2).toFixed(2)}s;--hue:${Math.floor(Math.random() * 360)};`
+    }));
+
+    const { celebration } = this.screen();
+    celebration.replaceChildren(
+      element("div", { className: "confetti", attributes: { "aria-hidden": "true" } }, confetti),
+      element("div", { className: "presentation-trophy" }, "🏆"),
+      element("h2", {}, champions.length === 1 ? "Champion" : "Co-Champions"),
+      element("div", { className: "presentation-champion" }, champions.join(" & ")),
+      note && element("p", {}, note),
+      teamChampions && element("p", { className: "presentation-team" },
+        `🏅 ${teamChampions.length === 1 ? "Team Champion" : "Team Co-Champions"}: ${teamChampions.join(" & ")}`),
+      element("button", { dataset: { presentation: 'dismiss' } }, "Back to the stage")
+    );
+    celebration.hidden = false;
+    if (this.active) this.sounds.play('champion', { force: true });
+  }
+
+  /**
+   * Mutes or unmutes the sound effects
+   */
+  static toggleMute() {
+    this.sounds.setMuted(!this.sounds.muted);
+    this.showMuted();
+  }
+
+  /**
+   * Reflects the sound setting in its button
+   */
+  static showMuted() {
+    const { mute } = this.screen();
+    mute.textContent = this.sounds.muted ? "🔇 Sound off" : "🔊 Sound on";
+    mute.setAttribute("aria-pressed", String(this.sounds.muted));
+  }
+
+  /**
+   * Matches the reveal animation to the playback speed
+   * @param {number} multiplier - Speed multiplier
+   */
+  static setSpeed(multiplier) {
+    this.container()?.style.setProperty("--reveal-duration", `${Math.round(CONFIG.ANIMATION_DELAY * 0.8 / multiplier)}ms`);
+  }
+
+  /**
+   * Placeholder for the stage before the first match
+   * @returns {HTMLElement}
+   */
+  static waiting() {
+    return element("p", { className: "presentation-waiting" }, "Waiting for the first match…");
+  }
+
+  /**
+   * Empties the stage, ticker and celebration for a new run
+   */
+  static clear() {
+    this.match = null;
+    this.tickerKey = "";
+    if (!this.parts?.arena.isConnected) return;
+    const { stage, count, arena, track, celebration } = this.parts;
+    stage.textContent = "";
+    count.textContent = "";
+    arena.replaceChildren(this.waiting());
+    track.replaceChildren();
+    celebration.hidden = true;
+    celebration.replaceChildren();
+  }
+}
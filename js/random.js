@@ -0,0 +1,29 @@
+/**
+ * Seeded pseudo-random numbers
+ * Random seeding and coin flips draw from a seeded generator so that a run
+ * can be reproduced exactly from the seed stored in its replay log.
+ */
+
+/**
+ * Creates a mulberry32 generator
+ * @param {number} seed - 32-bit seed
+ * @returns {function(): number} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks a fresh seed for a run
+ * @returns {number} 32-bit seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
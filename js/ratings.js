@@ -0,0 +1,184 @@
+/**
+ * Skill ratings
+ * Players carry an Elo or Glicko-2 rating that every match updates. Ratings
+ * continue across stored tournaments by replaying each event's rated matches
+ * in the order the events were saved.
+ */
+import { SeasonStandings } from './history.js';
+
+const GLICKO2_SCALE = 173.7178;
+const GLICKO2_TAU = 0.5;
+
+/**
+ * Rating systems, keyed by the value stored in the settings
+ * Each update receives both players' states before the match and the first
+ * player's score (1, 0.5 or 0), and returns the first player's new state.
+ */
+export const RATING_SYSTEMS = {
+  elo: {
+    label: "Elo",
+    kFactor: 32,
+    initial: () => ({ rating: 1500 }),
+    update(player, opponent, score) {
+      const expected = 1 / (1 + 10 ** ((opponent.rating - player.rating) / 400));
+      return { rating: player.rating + this.kFactor * (score - expected) };
+    }
+  },
+  glicko2: {
+    label: "Glicko-2",
+    initial: () => ({ rating: 1500, rd: 350, volatility: 0.06 }),
+    update(player, opponent, score) {
+      const mu = (player.rating - 1500) / GLICKO2_SCALE;
+      const phi = player.rd / GLICKO2_SCALE;
+      const opponentMu = (opponent.rating - 1500) / GLICKO2_SCALE;
+      const opponentPhi = opponent.rd / GLICKO2_SCALE;
+
+      const g = 1 / Math.sqrt(1 + 3 * opponentPhi ** 2 / Math.PI ** 2);
+      const expected = 1 / (1 + Math.exp(-g * (mu - opponentMu)));
+      const variance = 1 / (g ** 2 * expected * (1 - expected));
+      const delta = variance * g * (score - expected);
+
+      // New volatility by the Illinois algorithm from Glickman's paper
+      const a = Math.log(player.volatility ** 2);
+      const f = x => {
+        const ex = Math.exp(x);
+        return ex * (delta ** 2 - phi ** 2 - variance - ex) / (2 * (phi ** 2 + variance + ex) ** 2) - (x - a) / GLICKO2_TAU ** 2;
+      };
+      let lower = a;
+      let upper;
+      if (delta ** 2 > phi ** 2 + variance) {
+        upper = Math.log(delta ** 2 - phi ** 2 - variance);
+      } else {
+        let k = 1;
+        while (f(a - k * GLICKO2_TAU) < 0) k++;
+        upper = a - k * GLICKO2_TAU;
+      }
+      let fLower = f(lower), fUpper = f(upper);
+      while (Math.abs(upper - lower) > 0.000001) {
+        const next = lower + (lower - upper) * fLower / (fUpper - fLower);
+        const fNext = f(next);
+        if (fNext * fUpper <= 0) {
+          lower = upper;
+          fLower = fUpper;
+        } else {
+          fLower /= 2;
+        }
+        upper = next;
+        fUpper = fNext;
+      }
+      const volatility = Math.exp(lower / 2);
+
+      const newPhi = 1 / Math.sqrt(1 / (phi ** 2 + volatility ** 2) + 1 / variance);
+      const newMu = mu + newPhi ** 2 * g * (score - expected);
+      return { rating: 1500 + newMu * GLICKO2_SCALE, rd: newPhi * GLICKO2_SCALE, volatility };
+    }
+  }
+};
+
+export class RatingBook {
+  static SCORES = { Win: 1, Tie: 0.5, Loss: 0 };
+
+  /**
+   * @param {string} [system='elo'] - Key of RATING_SYSTEMS
+   */
+  constructor(system = 'elo') {
+    if (!RATING_SYSTEMS[system]) throw new Error(`Unknown rating system: ${system}`);
+    this.system = system;
+    this.states = new Map();
+    this.history = new Map();
+    this.startEvent();
+  }
+
+  /**
+   * Rebuilds the ratings by replaying the rated matches of stored tournaments, oldest first
+   * @param {Array<Object>} records - Stored tournament records
+   * @param {string} [system='elo'] - Key of RATING_SYSTEMS
+   * @returns {RatingBook} Book ready for the next event
+   */
+  static fromHistory(records, system = 'elo') {
+    const book = new RatingBook(system);
+    const ordered = [...records].sort((a, b) => a.savedAt.localeCompare(b.savedAt));
+    for (const record of ordered) {
+      book.startEvent();
+      for (const [name1, name2, result] of record.ratedMatches || []) {
+        book.recordMatch(name1, name2, result);
+      }
+      book.endEvent(record.label, record.savedAt);
+    }
+    book.startEvent();
+    return book;
+  }
+
+  get label() {
+    return RATING_SYSTEMS[this.system].label;
+  }
+
+  /**
+   * Current rating state of a player, the system's starting state for newcomers
+   * @param {string} name - Player name
+   * @returns {Object} State with at least `rating`
+   */
+  state(name) {
+    return this.states.get(SeasonStandings.normalizeName(name)) || RATING_SYSTEMS[this.system].initial();
+  }
+
+  /**
+   * @param {string} name - Player name
+   * @returns {number} Rounded current rating
+   */
+  rating(name) {
+    return Math.round(this.state(name).rating);
+  }
+
+  /**
+   * Rating gained or lost in the current event
+   * @param {string} name - Player name
+   * @returns {number} Rounded change
+   */
+  change(name) {
+    const key = SeasonStandings.normalizeName(name);
+    if (!this.eventStart.has(key)) return 0;
+    return Math.round(this.state(name).rating) - Math.round(this.eventStart.get(key));
+  }
+
+  /**
+   * Begins a new event: changes are measured from here
+   */
+  startEvent() {
+    this.eventStart = new Map();
+    this.eventMatches = [];
+  }
+
+  /**
+   * Updates both players' ratings with a match result
+   * @param {string} name1 - First player
+   * @param {string} name2 - Second player
+   * @param {'Win'|'Loss'|'Tie'} result - Result from the first player's side
+   */
+  recordMatch(name1, name2, result) {
+    const score = RatingBook.SCORES[result];
+    if (score === undefined) return;
+
+    const [key1, key2] = [name1, name2].map(SeasonStandings.normalizeName);
+    const [state1, state2] = [this.state(name1), this.state(name2)];
+    if (!this.eventStart.has(key1)) this.eventStart.set(key1, state1.rating);
+    if (!this.eventStart.has(key2)) this.eventStart.set(key2, state2.rating);
+
+    const system = RATING_SYSTEMS[this.system];
+    this.states.set(key1, system.update(state1, state2, score));
+    this.states.set(key2, system.update(state2, state1, 1 - score));
+    this.eventMatches.push([name1, name2, result]);
+  }
+
+  /**
+   * Adds a point to the rating history of everyone who played in the event
+   * @param {string} label - Event description
+   * @param {string} date - ISO date the event was saved
+   */
+  endEvent(label, date) {
+    for (const key of this.eventStart.keys()) {
+      if (!this.history.has(key)) this.history.set(key, []);
+      this.history.get(key).push({ label, date, rating: Math.round(this.states.get(key).rating) });
+    }
+  }
+}
@@ -0,0 +1,160 @@
+import { RuleSet } from './rulesets.js';
+
+/**
+ * Replay log
+ * Records the settings, the roster and every round of every match of a run,
+ * so a finished tournament can be stepped through again, exported as JSON and
+ * re-checked later without fetching the sheet.
+ */
+export class ReplayLog {
+  static VERSION = 1;
+
+  /**
+   * @param {Object} options
+   * @param {number} options.seed - Seed of the run's random generator
+   * @param {Object} options.settings - Settings snapshot, see Tournament.settingsSnapshot
+   * @param {Array<{name: string, moves: Array<?string>}>} options.roster - Players and their submitted moves, null for a blank cell
+   */
+  constructor({ seed, settings, roster }) {
+    this.version = ReplayLog.VERSION;
+    this.createdAt = new Date().toISOString();
+    this.seed = seed;
+    this.settings = settings;
+    this.roster = roster;
+    this.matches = [];
+    this.standings = [];
+    this.champion = null;
+  }
+
+  /**
+   * Opens the record of a match
+   * @param {Player} player1 - First player
+   * @param {Player} player2 - Second player
+   * @param {string} [stage] - Where the match belongs, e.g. "Round 2" or "W1-3"
+   * @returns {Object} Match record
+   */
+  startMatch(player1, player2, stage = "") {
+    const match = {
+      number: this.matches.length + 1,
+      stage,
+      player1: player1.name,
+      player2: player2.name,
+      rounds: [],
+      result: null
+    };
+    this.matches.push(match);
+    return match;
+  }
+
+  /**
+   * Adds a round to a match record
+   * @param {Object} match - Record returned by startMatch
+   * @param {{move1: string, move2: string, winner: number}} round - Moves and winner (1, 2 or 0)
+   */
+  recordRound(match, { move1, move2, winner }) {
+    match.rounds.push({ move1, move2, winner });
+  }
+
+  /**
+   * Closes a match record with its final score
+   * @param {Object} match - Record returned by startMatch
+   * @param {Object} result - Result returned by playMatch
+   */
+  endMatch(match, result) {
+    match.result = {
+      player1Wins: result.player1Wins,
+      player2Wins: result.player2Wins,
+      ties: result.ties,
+      player1Result: result.player1Result,
+      player2Result: result.player2Result
+    };
+  }
+
+  /**
+   * Stores the final standings
+   * @param {Array<Object>} leaderboard - Ranked leaderboard
+   * @param {string|null} champion - Champion's name, null for shared titles
+   */
+  finish(leaderboard, champion) {
+    this.standings = leaderboard.map(entry => ({
+      rank: entry.rank,
+      sharedRank: entry.sharedRank,
+      name: entry.name,
+      wins: entry.wins,
+      losses: entry.losses,
+      ties: entry.ties,
+      points: entry.points
+    }));
+    this.champion = champion;
+  }
+
+  /**
+   * Re-scores every recorded round and match with the logged rule set
+   * @returns {Array<string>} Descriptions of every discrepancy, empty when the log checks out
+   */
+  verify() {
+    const ruleSet = new RuleSet(this.settings.ruleSet);
+    const problems = [];
+
+    for (const match of this.matches) {
+      let player1Wins = 0, player2Wins = 0;
+      match.rounds.forEach((round, index) => {
+        const winner = ruleSet.compare(round.move1, round.move2);
+        if (winner !== round.winner) {
+          problems.push(`Match ${match.number} (${match.player1} vs ${match.player2}), round ${index + 1}: logged winner ${round.winner}, rules give ${winner}`);
+        }
+        if (winner === 1) player1Wins++;
+        if (winner === 2) player2Wins++;
+      });
+
+      if (match.result && (match.result.player1Wins !== player1Wins || match.result.player2Wins !== player2Wins)) {
+        problems.push(`Match ${match.number} (${match.player1} vs ${match.player2}): logged score ${match.result.player1Wins}-${match.result.player2Wins}, rounds give ${player1Wins}-${player2Wins}`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Serializes the log for export
+   * @returns {string} JSON text, read back by fromJSON
+   */
+  serialize() {
+    return JSON.stringify({
+      version: this.version,
+      createdAt: this.createdAt,
+      seed: this.seed,
+      settings: this.settings,
+      roster: this.roster,
+      matches: this.matches,
+      standings: this.standings,
+      champion: this.champion
+    }, null, 2);
+  }
+
+  /**
+   * Reads an exported log
+   * @param {string} text - JSON text
+   * @returns {ReplayLog}
+   * @throws {Error} If the text is not a replay log
+   */
+  static fromJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid replay file: ${error.message}`);
+    }
+
+    if (!data || data.version !== ReplayLog.VERSION || !Array.isArray(data.matches) || !data.settings?.ruleSet) {
+      throw new Error("This file is not a tournament replay log");
+    }
+
+    const log = new ReplayLog({ seed: data.seed, settings: data.settings, roster: data.roster || [] });
+    log.createdAt = data.createdAt;
+    log.matches = data.matches;
+    log.standings = data.standings || [];
+    log.champion = data.champion ?? null;
+    return log;
+  }
+}
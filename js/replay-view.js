@@ -0,0 +1,164 @@
+import { RuleSet } from './rulesets.js';
+import { UI } from './ui.js';
+import { downloadFile } from './exporter.js';
+import { escapeHtml } from './dom.js';
+
+/**
+ * Match-by-match playback of a replay log
+ */
+export class ReplayView {
+  static container = () => document.getElementById("replay");
+
+  static log = null;
+  static ruleSet = null;
+  static problems = [];
+  static matchIndex = 0;
+  static roundIndex = 0;
+
+  /**
+   * Opens the viewer on a log
+   * @param {ReplayLog} log - Log to play back
+   * @param {Array<string>} [problems] - Discrepancies found when the log was verified
+   */
+  static show(log, problems = []) {
+    this.log = log;
+    this.ruleSet = new RuleSet(log.settings.ruleSet);
+    this.problems = problems;
+    this.matchIndex = 0;
+    this.roundIndex = 0;
+
+    const container = this.container();
+    container.onclick = (event) => {
+      const control = event.target.closest("button")?.dataset.control;
+      if (control) this.step(control);
+    };
+    container.onchange = (event) => {
+      if (event.target.dataset.control === 'jump') {
+        this.jumpTo(parseInt(event.target.value, 10));
+      }
+    };
+
+    this.render();
+  }
+
+  /**
+   * Removes the viewer
+   */
+  static clear() {
+    this.log = null;
+    this.container().innerHTML = "";
+  }
+
+  /**
+   * Moves through the log one round or one match at a time
+   * @param {'prev'|'next'|'prev-match'|'next-match'} control - Direction to step
+   */
+  static step(control) {
+    const matches = this.log.matches;
+    const rounds = () => matches[this.matchIndex].rounds.length;
+
+    switch (control) {
+      case 'next':
+        if (this.roundIndex < rounds() - 1) {
+          this.roundIndex++;
+        } else if (this.matchIndex < matches.length - 1) {
+          this.jumpTo(this.matchIndex + 1);
+          return;
+        }
+        break;
+      case 'prev':
+        if (this.roundIndex > 0) {
+          this.roundIndex--;
+        } else if (this.matchIndex > 0) {
+          this.matchIndex--;
+          this.roundIndex = Math.max(0, rounds() - 1);
+        }
+        break;
+      case 'next-match':
+        this.jumpTo(Math.min(this.matchIndex + 1, matches.length - 1));
+        return;
+      case 'prev-match':
+        this.jumpTo(Math.max(this.matchIndex - 1, 0));
+        return;
+      default:
+        return;
+    }
+    this.render();
+  }
+
+  /**
+   * Jumps to the first round of a match
+   * @param {number} index - Zero-based match index
+   */
+  static jumpTo(index) {
+    this.matchIndex = index;
+    this.roundIndex = 0;
+    this.render();
+  }
+
+  /**
+   * Renders the current match and round
+   */
+  static render() {
+    const log = this.log;
+    if (!log || log.matches.length === 0) {
+      this.container().innerHTML = log ? `<div class="replay"><h3>Replay</h3><p>No matches were recorded.</p></div>` : "";
+      return;
+    }
+
+    const match = log.matches[this.matchIndex];
+    const round = match.rounds[this.roundIndex];
+    const upToNow = match.rounds.slice(0, this.roundIndex + 1);
+    const score1 = upToNow.filter(r => r.winner === 1).length;
+    const score2 = upToNow.filter(r => r.winner === 2).length;
+    const name = (player, side) => round?.winner === side ? `<span class="underline">${escapeHtml(player)}</span>` : escapeHtml(player);
+
+    this.container().innerHTML = `
+      <div class="replay">
+        <h3>Replay${log.champion ? ` · Champion: ${escapeHtml(log.champion)}` : ""}</h3>
+        ${this.problems.length > 0 ? `
+          <div class="error">Verification found ${this.problems.length} discrepancy(ies):
+            <ul>${this.problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join("")}</ul>
+          </div>` : `<p class="replay-verified">✔ Every round re-scored under ${escapeHtml(this.ruleSet.name)} matches the log</p>`}
+        <div class="replay-controls">
+          <button data-control="prev-match" title="Previous match">⏮</button>
+          <button data-control="prev" title="Previous round">◀</button>
+          <select data-control="jump" aria-label="Jump to match">
+            ${log.matches.map((candidate, index) => `
+              <option value="${index}" ${index === this.matchIndex ? "selected" : ""}>
+                #${escapeHtml(candidate.number)} ${escapeHtml(candidate.player1)} vs ${escapeHtml(candidate.player2)}${candidate.stage ? ` (${escapeHtml(candidate.stage)})` : ""}
+              </option>
+            `).join("")}
+          </select>
+          <button data-control="next" title="Next round">▶</button>
+          <button data-control="next-match" title="Next match">⏭</button>
+        </div>
+        <div class="replay-stage">
+          ${round ? `
+            <div>${name(match.player1, 1)}</div>
+            <div>${UI.renderMove(round.move1, this.ruleSet)}</div>
+            <div class="replay-score">${score1} – ${score2}<small>Round ${this.roundIndex + 1} of ${match.rounds.length}</small></div>
+            <div>${UI.renderMove(round.move2, this.ruleSet)}</div>
+            <div>${name(match.player2, 2)}</div>
+          ` : `<div>${escapeHtml(match.player1)} vs ${escapeHtml(match.player2)}: no rounds played</div>`}
+        </div>
+        <ol class="replay-rounds">
+          ${match.rounds.map((r, index) => `
+            <li class="${index === this.roundIndex ? "current" : ""}">
+              ${escapeHtml(this.ruleSet.label(r.move1))} vs ${escapeHtml(this.ruleSet.label(r.move2))}:
+              ${escapeHtml(r.winner === 1 ? match.player1 : r.winner === 2 ? match.player2 : "tie")}
+            </li>
+          `).join("")}
+        </ol>
+      </div>
+    `;
+  }
+
+  /**
+   * Downloads a log as a JSON file
+   * @param {ReplayLog} log - Log to export
+   */
+  static download(log) {
+    downloadFile(`rps-tournament-${log.createdAt.slice(0, 19).replace(/[:T]/g, "-")}.json`, log.serialize(), "application/json");
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * Rule sets
+ * A rule set lists the moves of the game and which moves each one beats.
+ * Parsing, scoring and move rendering all go through the selected rule set.
+ */
+import { CONFIG } from './config.js';
+import { escapeHtml } from './dom.js';
+
+/**
+ * @typedef {Object} MoveDefinition
+ * @property {string} key - Abbreviation stored in Player.moves, e.g. "r"
+ * @property {string} name - Display name, e.g. "Rock"
+ * @property {string[]} [aliases] - Other spellings accepted from the sheet
+ * @property {string|null} [image] - Image path, if the move has artwork
+ * @property {string|null} [emoji] - Emoji shown when there is no image
+ */
+
+export class RuleSet {
+  /**
+   * @param {Object} definition
+   * @param {string} definition.name - Name shown in the rule set selector
+   * @param {Array<MoveDefinition>} definition.moves - Moves of the game
+   * @param {Object.<string, string[]>} definition.beats - Keys of the moves each move beats
+   */
+  constructor({ name, moves, beats }) {
+    this.name = name;
+    this.moves = moves.map(move => ({ aliases: [], image: null, emoji: null, ...move }));
+    this.beats = beats;
+    this.lookup = new Map();
+
+    for (const move of this.moves) {
+      for (const spelling of [move.key, move.name, ...move.aliases, move.emoji].filter(Boolean)) {
+        this.lookup.set(spelling.toLowerCase(), move.key);
+      }
+    }
+  }
+
+  /**
+   * Move abbreviations in definition order
+   * @returns {string[]}
+   */
+  get keys() {
+    return this.moves.map(move => move.key);
+  }
+
+  /**
+   * Checks that the rule set is a balanced game: an odd number of moves where
+   * every pair of moves has exactly one winner and every move beats exactly
+   * half of the other moves
+   * @throws {Error} If the rule set is not balanced
+   */
+  validate() {
+    const keys = this.keys;
+    if (keys.length < 3 || keys.length % 2 === 0) {
+      throw new Error(`A rule set needs an odd number of moves (at least 3), got ${keys.length}`);
+    }
+    if (new Set(keys).size !== keys.length) {
+      throw new Error("Every move in a rule set needs a unique name");
+    }
+
+    const half = (keys.length - 1) / 2;
+    for (const key of keys) {
+      const beaten = this.beats[key] || [];
+      const unknown = beaten.filter(other => !keys.includes(other));
+      if (unknown.length > 0) {
+        throw new Error(`"${this.label(key)}" beats unknown move(s): ${unknown.join(", ")}`);
+      }
+      if (beaten.includes(key)) {
+        throw new Error(`"${this.label(key)}" cannot beat itself`);
+      }
+      if (new Set(beaten).size !== half) {
+        throw new Error(`Unbalanced rule set: "${this.label(key)}" beats ${new Set(beaten).size} move(s) but every move must beat exactly ${half}`);
+      }
+      for (const other of beaten) {
+        if ((this.beats[other] || []).includes(key)) {
+          throw new Error(`"${this.label(key)}" and "${this.label(other)}" cannot both beat each other`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Maps a sheet cell to a move abbreviation
+   * @param {string} text - Trimmed cell text
+   * @returns {string} Move abbreviation, or the original text if it is not a move of this rule set
+   */
+  normalize(text) {
+    return this.lookup.get(text.toLowerCase()) || text;
+  }
+
+  /**
+   * Whether a value is a move of this rule set
+   * @param {string} move - Move abbreviation
+   * @returns {boolean}
+   */
+  isValid(move) {
+    return this.keys.includes(move);
+  }
+
+  /**
+   * Determines the winner of a round.
+   * A forfeited move loses to any other move; two forfeits tie.
+   * @param {string} move1 - Move of player 1
+   * @param {string} move2 - Move of player 2
+   * @returns {number} 1 if player1 wins, 2 if player2 wins, 0 for tie or invalid moves
+   */
+  compare(move1, move2) {
+    const forfeit1 = move1 === CONFIG.FORFEIT_MOVE;
+    const forfeit2 = move2 === CONFIG.FORFEIT_MOVE;
+    if (forfeit1 || forfeit2) {
+      return forfeit1 && forfeit2 ? 0 : forfeit1 ? 2 : 1;
+    }
+
+    if (!this.isValid(move1) || !this.isValid(move2)) return 0;
+    if (move1 === move2) return 0;
+
+    return this.beats[move1].includes(move2) ? 1 : 2;
+  }
+
+  /**
+   * Display name of a move
+   * @param {string} move - Move abbreviation
+   * @returns {string}
+   */
+  label(move) {
+    return this.moves.find(candidate => candidate.key === move)?.name || move;
+  }
+
+  /**
+   * HTML for a move: its image, else its emoji, else its name as text
+   * @param {string} move - Move abbreviation
+   * @returns {string}
+   */
+  render(move) {
+    const definition = this.moves.find(candidate => candidate.key === move);
+    if (!definition) {
+      return `<span class="move-glyph move-text" title="Invalid move">${escapeHtml(move || "?")}</span>`;
+    }
+    if (definition.image) {
+      return `<img src="${escapeHtml(definition.image)}" alt="${escapeHtml(definition.name)}" />`;
+    }
+    if (definition.emoji) {
+      return `<span class="move-glyph" title="${escapeHtml(definition.name)}">${escapeHtml(definition.emoji)}</span>`;
+    }
+    return `<span class="move-glyph move-text">${escapeHtml(definition.name)}</span>`;
+  }
+
+  /**
+   * Plain definition of the rule set, as stored in replay logs
+   * @returns {{name: string, moves: Array<MoveDefinition>, beats: Object.<string, string[]>}}
+   */
+  toJSON() {
+    return { name: this.name, moves: this.moves, beats: this.beats };
+  }
+
+  /**
+   * Builds a custom rule set from one line per move, written as
+   * `Name (emoji) beats Other, Another`. The emoji is optional; a move's first
+   * letter is accepted as an abbreviation when no other move shares it.
+   * @param {string} text - Rule set definition
+   * @returns {RuleSet} Validated rule set
+   * @throws {Error} If a line cannot be read or the rule set is not balanced
+   */
+  static parse(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    const linePattern = /^(.+?)\s*(?:\((.+?)\))?\s+beats\s+(.+)$/i;
+
+    const parsed = lines.map(line => {
+      const match = line.match(linePattern);
+      if (!match) {
+        throw new Error(`Cannot read rule "${line}". Use: Name (emoji) beats Other, Another`);
+      }
+      const [, name, emoji, beaten] = match;
+      return {
+        name: name.trim(),
+        emoji: emoji?.trim() || null,
+        beaten: beaten.split(/\s*(?:,|\band\b)\s*/i).map(other => other.trim().toLowerCase()).filter(Boolean)
+      };
+    });
+
+    const initials = parsed.map(move => move.name[0].toLowerCase());
+    const moves = parsed.map((move, index) => ({
+      key: move.name.toLowerCase(),
+      name: move.name,
+      emoji: move.emoji,
+      aliases: initials.filter(initial => initial === initials[index]).length === 1 ? [initials[index]] : []
+    }));
+    const beats = Object.fromEntries(parsed.map(move => [move.name.toLowerCase(), move.beaten]));
+
+    const ruleSet = new RuleSet({ name: "Custom", moves, beats });
+    ruleSet.validate();
+    return ruleSet;
+  }
+}
+
+/**
+ * Built-in rule sets
+ * @type {Object.<string, RuleSet>}
+ */
+export const RULE_SETS = {
+  rps: new RuleSet({
+    name: "Rock Paper Scissors",
+    moves: [
+      { key: 'r', name: "Rock", aliases: ['rock'], image: './img/rpc-png.img/rock100.png', emoji: '✊' },
+      { key: 'p', name: "Paper", aliases: ['paper'], image: './img/rpc-png.img/paper100.png', emoji: '✋' },
+      { key: 's', name: "Scissors", aliases: ['scissors'], image: './img/rpc-png.img/scissors100.png', emoji: '✌️' }
+    ],
+    beats: { r: ['s'], p: ['r'], s: ['p'] }
+  }),
+  rpsls: new RuleSet({
+    name: "Rock Paper Scissors Lizard Spock",
+    moves: [
+      { key: 'r', name: "Rock", aliases: ['rock'], image: './img/rpc-png.img/rock100.png', emoji: '✊' },
+      { key: 'p', name: "Paper", aliases: ['paper'], image: './img/rpc-png.img/paper100.png', emoji: '✋' },
+      { key: 's', name: "Scissors", aliases: ['scissors'], image: './img/rpc-png.img/scissors100.png', emoji: '✌️' },
+      { key: 'l', name: "Lizard", aliases: ['lizard'], emoji: '🦎' },
+      { key: 'k', name: "Spock", aliases: ['spock', 'sp'], emoji: '🖖' }
+    ],
+    beats: { r: ['s', 'l'], p: ['r', 'k'], s: ['p', 'l'], l: ['p', 'k'], k: ['r', 's'] }
+  })
+};
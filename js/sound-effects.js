@@ -0,0 +1,111 @@
+/**
+ * Sound effects of the presentation screen
+ * Short tones made with the Web Audio API, so there are no audio files to
+ * ship. Browsers only allow sound once the page has been clicked, so the
+ * audio context is created by the first effect played, not on load.
+ */
+
+/**
+ * Effects as lists of notes: pitch in Hz, start and length in seconds
+ */
+export const SOUND_EFFECTS = {
+  matchStart: [
+    { frequency: 440, start: 0, length: 0.08 },
+    { frequency: 660, start: 0.09, length: 0.12 }
+  ],
+  win: [
+    { frequency: 523, start: 0, length: 0.08, wave: 'square' },
+    { frequency: 784, start: 0.08, length: 0.16, wave: 'square' }
+  ],
+  tie: [
+    { frequency: 330, start: 0, length: 0.12, wave: 'triangle' },
+    { frequency: 330, start: 0.15, length: 0.12, wave: 'triangle' }
+  ],
+  champion: [
+    { frequency: 523, start: 0, length: 0.15, wave: 'square' },
+    { frequency: 659, start: 0.15, length: 0.15, wave: 'square' },
+    { frequency: 784, start: 0.3, length: 0.15, wave: 'square' },
+    { frequency: 1047, start: 0.45, length: 0.6, wave: 'square' }
+  ]
+};
+
+export class SoundEffects {
+  static STORAGE_KEY = "rps-sound-muted";
+  static VOLUME = 0.12;
+  // Effects closer together than this are dropped, so fast runs do not turn into noise
+  static MIN_GAP = 0.15;
+
+  constructor() {
+    this.context = null;
+    this.lastPlayed = -Infinity;
+    this.muted = SoundEffects.loadMuted();
+  }
+
+  /**
+   * Plays an effect unless sound is muted or unavailable
+   * @param {string} name - Key of SOUND_EFFECTS
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Play even right after another effect, e.g. the champion fanfare
+   */
+  play(name, { force = false } = {}) {
+    const notes = SOUND_EFFECTS[name];
+    if (this.muted || !notes) return;
+    const context = this.audioContext();
+    if (!context) return;
+
+    const now = context.currentTime;
+    if (!force && now - this.lastPlayed < SoundEffects.MIN_GAP) return;
+    this.lastPlayed = now;
+
+    for (const { frequency, start, length, wave = 'sine' } of notes) {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = wave;
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(SoundEffects.VOLUME, now + start);
+      gain.gain.exponentialRampToValueAtTime(0.001, now + start + length);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(now + start);
+      oscillator.stop(now + start + length);
+    }
+  }
+
+  /**
+   * The audio context, created on first use
+   * @returns {AudioContext|null} Null where the browser has no Web Audio
+   */
+  audioContext() {
+    if (!this.context) {
+      const AudioContext = globalThis.AudioContext || globalThis.webkitAudioContext;
+      if (!AudioContext) return null;
+      this.context = new AudioContext();
+    }
+    if (this.context.state === 'suspended') this.context.resume();
+    return this.context;
+  }
+
+  /**
+   * Mutes or unmutes the effects and remembers the choice
+   * @param {boolean} muted - Whether to mute
+   */
+  setMuted(muted) {
+    this.muted = muted;
+    try {
+      localStorage.setItem(SoundEffects.STORAGE_KEY, String(muted));
+    } catch (error) {
+      console.warn("Could not save the sound setting:", error);
+    }
+  }
+
+  /**
+   * Whether sound was muted on an earlier visit
+   * @returns {boolean}
+   */
+  static loadMuted() {
+    try {
+      return localStorage.getItem(SoundEffects.STORAGE_KEY) === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+}
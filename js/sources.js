@@ -0,0 +1,403 @@
+/**
+ * Roster data sources
+ * Every source resolves to a header and one array of trimmed cell strings per
+ * submission, casing kept as entered. The column mapping then picks the
+ * timestamp, name and move columns and lowercases what it compares.
+ */
+import { CONFIG } from './config.js';
+
+/**
+ * Reads a raw cell value as text, keeping its casing
+ * @param {*} value - Raw cell value
+ * @returns {string} Trimmed cell text
+ */
+export function cellText(value) {
+  return (value ?? "").toString().trim();
+}
+
+/**
+ * Normalizes a raw cell value the same way for every source
+ * @param {*} value - Raw cell value
+ * @returns {string} Trimmed, lowercased cell text
+ */
+export function normalizeCell(value) {
+  return cellText(value).toLowerCase();
+}
+
+/**
+ * Base class for roster data sources
+ */
+export class DataSource {
+  /**
+   * Human readable description of where the rows come from
+   * @returns {string}
+   */
+  get label() {
+    return "Unknown source";
+  }
+
+  /**
+   * Hint appended to error messages raised while loading this source
+   * @returns {string}
+   */
+  get errorHint() {
+    return "";
+  }
+
+  /**
+   * Sheet row number of the first data row, used when reporting issues by cell
+   * @returns {number}
+   */
+  get firstRowNumber() {
+    return 2; // Row 1 is the header
+  }
+
+  /**
+   * Identifies the source across runs, e.g. to remember its column mapping
+   * @returns {string}
+   */
+  get key() {
+    return this.label;
+  }
+
+  /**
+   * Loads the header row and the roster rows as entered, casing kept
+   * @returns {Promise<{header: string[], rows: Array<string[]>}>}
+   */
+  async fetchTable() {
+    throw new Error("fetchTable() must be implemented by a data source");
+  }
+
+  /**
+   * Where a row returned by fetchTable came from, for sources that combine several
+   * @param {string[]} row - Row returned by fetchTable
+   * @returns {{label: string, rowNumber: number}|null} Origin, or null for single sources
+   */
+  originOf(row) {
+    return null;
+  }
+}
+
+/**
+ * Loads a roster from a public Google Sheet through the gviz endpoint
+ */
+export class GoogleSheetSource extends DataSource {
+  /**
+   * @param {string} sheetUrl - URL of the Google Sheet
+   * @param {string} sheetName - Name of the sheet tab
+   */
+  constructor(sheetUrl, sheetName) {
+    super();
+    this.sheetUrl = sheetUrl;
+    this.sheetName = sheetName;
+  }
+
+  get label() {
+    return `Google Sheet "${this.sheetName}"`;
+  }
+
+  get key() {
+    const sheetId = this.sheetUrl.match(/\/d\/([a-zA-Z0-9-_]+)/)?.[1] || this.sheetUrl;
+    return `sheet:${sheetId}/${this.sheetName}`;
+  }
+
+  get errorHint() {
+    return "Ensure your sheet is public and the name is correct.";
+  }
+
+  /**
+   * Fetches data from Google Sheets
+   * @returns {Promise<{header: string[], rows: Array<string[]>}>} Parsed sheet data
+   */
+  async fetchTable() {
+    const sheetIdMatch = this.sheetUrl.match(/\/d\/([a-zA-Z0-9-_]+)/);
+    if (!sheetIdMatch) {
+      throw new Error("Invalid Google Sheet URL format");
+    }
+
+    const sheetId = sheetIdMatch[1];
+    const fetchUrl = `${CONFIG.API_BASE_URL}${sheetId}/gviz/tq?tqx=out:json&sheet=${encodeURIComponent(this.sheetName)}`;
+
+    const response = await fetch(fetchUrl);
+    if (!response.ok) {
+      let errorMsg = "Failed to fetch sheet.";
+      if (response.status === 403) {
+        errorMsg += " The sheet may not be public. Please publish it to the web by going to File > Share > Publish to web.";
+      } else if (response.status === 404) {
+        errorMsg += " Sheet not found. Check the URL and sheet name.";
+      } else {
+        errorMsg += ` HTTP ${response.status}.`;
+      }
+      throw new Error(errorMsg);
+    }
+
+    const text = await response.text();
+    const json = JSON.parse(text.substr(47).slice(0, -2));
+
+    const rows = json.table.rows.map(row =>
+      row.c.map(cell => cellText(cell?.v))
+    );
+
+    console.log("Fetched rows from sheet:", rows);
+
+    if (rows.length <= 1) {
+      throw new Error("No data found in the sheet");
+    }
+
+    return { header: rows[0], rows: rows.slice(1) };
+  }
+}
+
+/**
+ * Combines the rows of several sources, e.g. one form per class section.
+ * The sources must ask the same questions; the first one's header is used.
+ * Duplicate names are left in; the roster report resolves them.
+ */
+export class MergedSource extends DataSource {
+  /**
+   * @param {Array<DataSource>} sources - Sources in the order their rows are listed
+   */
+  constructor(sources) {
+    super();
+    this.sources = sources;
+    this.origins = new WeakMap();
+
+    // Same-named tabs of different spreadsheets need telling apart
+    const labels = sources.map(source => source.label);
+    this.labels = labels.map((label, index) =>
+      labels.indexOf(label) !== labels.lastIndexOf(label) ? `${label} #${index + 1}` : label
+    );
+  }
+
+  get label() {
+    return this.labels.join(" + ");
+  }
+
+  get errorHint() {
+    return [...new Set(this.sources.map(source => source.errorHint).filter(Boolean))].join(" ");
+  }
+
+  get key() {
+    return this.sources[0].key;
+  }
+
+  get firstRowNumber() {
+    return 1; // Rows are numbered across the merged list
+  }
+
+  async fetchTable() {
+    const tables = await Promise.all(this.sources.map((source, index) =>
+      source.fetchTable().catch(error => {
+        throw new Error(`${this.labels[index]}: ${error.message}`);
+      })
+    ));
+
+    const header = tables[0].header;
+    tables.forEach((table, index) => {
+      if (table.header.length !== header.length) {
+        throw new Error(`${this.labels[index]} has ${table.header.length} columns, ${this.labels[0]} has ${header.length}. Merged sheets must ask the same questions`);
+      }
+    });
+
+    const rows = tables.flatMap((table, index) => table.rows.map((row, offset) => {
+      this.origins.set(row, { label: this.labels[index], rowNumber: offset + this.sources[index].firstRowNumber });
+      return row;
+    }));
+    return { header, rows };
+  }
+
+  originOf(row) {
+    return this.origins.get(row) || null;
+  }
+}
+
+/**
+ * Empty roster for events played entirely by live players and bots
+ */
+export class LiveOnlySource extends DataSource {
+  get label() {
+    return "Live players and bots only";
+  }
+
+  async fetchTable() {
+    return { header: [], rows: [] };
+  }
+}
+
+/**
+ * Loads a roster from a local CSV, TSV or JSON file (e.g. a form export)
+ *
+ * CSV/TSV files and JSON arrays of arrays are expected to start with a header
+ * row, like the sheet itself. JSON arrays of objects are read either as
+ * `{ timestamp, name, moves: [...] }` or, for flat exports, with their keys
+ * as the header.
+ */
+export class FileSource extends DataSource {
+  /**
+   * @param {File} file - File picked or dropped by the user
+   */
+  constructor(file) {
+    super();
+    this.file = file;
+    this.hasHeader = true;
+  }
+
+  get label() {
+    return `File "${this.file.name}"`;
+  }
+
+  get key() {
+    return `file:${this.file.name}`;
+  }
+
+  get errorHint() {
+    return "Check that the file is a CSV, TSV or JSON export with timestamp, name and move columns.";
+  }
+
+  get firstRowNumber() {
+    return this.hasHeader ? 2 : 1;
+  }
+
+  /**
+   * Reads and parses the file
+   * @returns {Promise<{header: string[], rows: Array<string[]>}>} Parsed table
+   */
+  async fetchTable() {
+    const text = await this.file.text();
+    const format = FileSource.detectFormat(this.file.name, text);
+
+    let header, rows;
+    switch (format) {
+      case 'json':
+        ({ header, rows } = FileSource.parseJson(text));
+        this.hasHeader = !FileSource.isObjectRoster(text);
+        break;
+      default:
+        [header = [], ...rows] = FileSource.parseDelimited(text, format === 'tsv' ? '\t' : ',');
+    }
+
+    rows = rows.filter(row => row.some(cell => cell));
+    console.log(`Parsed ${rows.length} rows from ${format.toUpperCase()} file:`, rows);
+
+    if (rows.length === 0) {
+      throw new Error("No data found in the file");
+    }
+
+    return { header, rows };
+  }
+
+  /**
+   * Detects the file format from its extension, falling back to its content
+   * @param {string} fileName - Name of the file
+   * @param {string} text - File contents
+   * @returns {'csv'|'tsv'|'json'} Detected format
+   */
+  static detectFormat(fileName, text) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (['csv', 'tsv', 'json'].includes(extension)) return extension;
+
+    const trimmed = text.trimStart();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+
+    const firstLine = trimmed.split(/\r?\n/, 1)[0];
+    return firstLine.includes('\t') ? 'tsv' : 'csv';
+  }
+
+  /**
+   * Parses delimiter-separated text, honouring double-quoted fields
+   * @param {string} text - File contents
+   * @param {string} delimiter - Field delimiter
+   * @returns {Array<string[]>} Rows of trimmed cells, header included
+   */
+  static parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(cellText(field));
+        field = "";
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cellText(field));
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(cellText(field));
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Whether a JSON roster lists player objects rather than header-led rows
+   * @param {string} text - File contents
+   * @returns {boolean}
+   */
+  static isObjectRoster(text) {
+    const data = JSON.parse(text);
+    return Array.isArray(data) && !data.every(Array.isArray);
+  }
+
+  /**
+   * Parses a JSON roster export
+   * @param {string} text - File contents
+   * @returns {{header: string[], rows: Array<string[]>}} Header and rows of trimmed cells
+   */
+  static parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON file: ${error.message}`);
+    }
+
+    if (!Array.isArray(data)) {
+      throw new Error("JSON roster must be an array of rows or player objects");
+    }
+
+    if (data.every(Array.isArray)) {
+      const [header = [], ...rows] = data.map(row => row.map(cellText));
+      return { header, rows };
+    }
+
+    if (data.some(entry => entry === null || typeof entry !== 'object')) {
+      throw new Error("JSON roster entries must all be arrays or all be objects");
+    }
+    if (data.every(entry => Array.isArray(entry.moves))) {
+      const moveCount = Math.max(0, ...data.map(entry => entry.moves.length));
+      return {
+        header: ["Timestamp", "Name", ...Array.from({ length: moveCount }, (_, index) => `Move ${index + 1}`)],
+        rows: data.map(entry => [entry.timestamp, entry.name, ...entry.moves].map(cellText))
+      };
+    }
+    // Objects may list their keys in any order or leave some out, so every row follows one header
+    const header = [...new Set(data.flatMap(Object.keys))];
+    return {
+      header,
+      rows: data.map(entry => header.map(key => cellText(entry[key])))
+    };
+  }
+}
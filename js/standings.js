@@ -0,0 +1,181 @@
+/**
+ * Standings and tiebreak chain
+ * Leaderboard entries are sorted by the first criterion of the chain; players
+ * still level are separated by the next criterion, evaluated only among
+ * themselves, and so on. Players the whole chain cannot separate share a place.
+ */
+
+/**
+ * Tiebreak criteria available in the chain. `evaluate` returns one value per
+ * entry of a tied group, higher is better.
+ * @type {Object.<string, {label: string, column: string|null, evaluate: Function}>}
+ */
+export const TIEBREAKERS = {
+  points: {
+    label: "Points",
+    column: "Pts",
+    evaluate: (group) => group.map(entry => entry.points)
+  },
+  wins: {
+    label: "Most wins",
+    column: null,
+    evaluate: (group) => group.map(entry => entry.wins)
+  },
+  fewestLosses: {
+    label: "Fewest losses",
+    column: null,
+    evaluate: (group) => group.map(entry => -entry.losses)
+  },
+  headToHead: {
+    label: "Head-to-head",
+    column: null,
+    evaluate: (group, standings) => {
+      const names = new Set(group.map(entry => entry.name));
+      return group.map(entry => entry.opponents
+        .filter(opponent => !opponent.bye && names.has(opponent.vs))
+        .reduce((sum, opponent) => sum + standings.pointsFor(opponent.result), 0));
+    }
+  },
+  roundDiff: {
+    label: "Round differential",
+    column: "+/-",
+    evaluate: (group) => group.map(entry => entry.roundDiff)
+  },
+  roundWins: {
+    label: "Rounds won",
+    column: "RW",
+    evaluate: (group) => group.map(entry => entry.roundWins)
+  },
+  sonnebornBerger: {
+    label: "Sonneborn-Berger",
+    column: "SB",
+    evaluate: (group) => group.map(entry => entry.sonnebornBerger)
+  },
+  buchholz: {
+    label: "Buchholz",
+    column: "Buch",
+    evaluate: (group) => group.map(entry => entry.buchholz)
+  }
+};
+
+/**
+ * Ranks leaderboard entries with a points system and a tiebreak chain
+ */
+export class Standings {
+  /**
+   * @param {Object} [options]
+   * @param {{win: number, tie: number, loss: number}} [options.points] - Points per match result
+   * @param {string[]} [options.tiebreaks] - Keys of TIEBREAKERS, applied in order
+   */
+  constructor({
+    points = { win: 3, tie: 1, loss: 0 },
+    tiebreaks = ['points', 'headToHead', 'roundDiff', 'sonnebornBerger']
+  } = {}) {
+    this.points = points;
+    this.tiebreaks = tiebreaks.filter(key => TIEBREAKERS[key]);
+    if (this.tiebreaks.length === 0) {
+      this.tiebreaks = ['points'];
+    }
+  }
+
+  /**
+   * Parses a points system written as "win/tie/loss", e.g. "3/1/0"
+   * @param {string} text - Points system text
+   * @returns {{win: number, tie: number, loss: number}}
+   */
+  static parsePoints(text) {
+    const values = text.split('/').map(value => parseFloat(value.trim()));
+    if (values.length !== 3 || values.some(isNaN)) {
+      throw new Error(`Invalid points system: ${text}. Use win/tie/loss, e.g. 3/1/0.`);
+    }
+    const [win, tie, loss] = values;
+    return { win, tie, loss };
+  }
+
+  /**
+   * Points awarded for a match result
+   * @param {string} result - 'Win', 'Loss' or 'Tie'
+   * @returns {number}
+   */
+  pointsFor(result) {
+    switch (result) {
+      case 'Win':
+        return this.points.win;
+      case 'Tie':
+        return this.points.tie;
+      default:
+        return this.points.loss;
+    }
+  }
+
+  /**
+   * Leaderboard columns for the criteria in the chain that have a value to show
+   * @returns {Array<{key: string, label: string}>}
+   */
+  get columns() {
+    return this.tiebreaks
+      .filter(key => TIEBREAKERS[key].column)
+      .map(key => ({ key, label: TIEBREAKERS[key].column }));
+  }
+
+  /**
+   * Sorts entries by the chain and assigns rank numbers, sharing places
+   * between entries the chain cannot separate
+   * @param {Array<Object>} entries - Leaderboard entries with name, stats and opponents
+   * @returns {Array<Object>} Entries in rank order with `rank` and `sharedRank` set
+   */
+  rank(entries) {
+    entries.forEach(entry => {
+      entry.points = entry.opponents.reduce((sum, opponent) => sum + this.pointsFor(opponent.result), 0);
+      entry.roundDiff = entry.roundWins - entry.roundLosses;
+    });
+
+    const ranked = [];
+    for (const group of this.separate(entries, 0)) {
+      const rank = ranked.length + 1;
+      group.forEach(entry => {
+        entry.rank = rank;
+        entry.sharedRank = group.length > 1;
+        ranked.push(entry);
+      });
+    }
+    return ranked;
+  }
+
+  /**
+   * Splits a tied group with the criterion at `depth`, recursing into the
+   * groups that are still level
+   * @param {Array<Object>} group - Entries currently level
+   * @param {number} depth - Index of the criterion to apply
+   * @returns {Array<Array<Object>>} Groups in rank order
+   */
+  separate(group, depth) {
+    if (group.length <= 1 || depth >= this.tiebreaks.length) return [group];
+
+    const values = TIEBREAKERS[this.tiebreaks[depth]].evaluate(group, this);
+    const sorted = group
+      .map((entry, index) => ({ entry, value: values[index] }))
+      .sort((a, b) => b.value - a.value);
+
+    const groups = [];
+    for (const { entry, value } of sorted) {
+      const last = groups[groups.length - 1];
+      if (last && last.value === value) {
+        last.entries.push(entry);
+      } else {
+        groups.push({ value, entries: [entry] });
+      }
+    }
+
+    return groups.flatMap(({ entries }) => this.separate(entries, depth + 1));
+  }
+
+  /**
+   * Formats a rank for display, e.g. "1" or "T2" for a shared place
+   * @param {Object} entry - Ranked leaderboard entry
+   * @returns {string}
+   */
+  static formatRank(entry) {
+    return entry.sharedRank ? `T${entry.rank}` : `${entry.rank}`;
+  }
+}
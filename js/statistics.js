@@ -0,0 +1,142 @@
+import { RuleSet } from './rulesets.js';
+
+/**
+ * Tournament statistics
+ * Derived from the rounds recorded in a replay log, so they are available
+ * both after a live run and for an imported replay.
+ */
+export class TournamentStatistics {
+  /**
+   * @param {ReplayLog} log - Log of the run
+   */
+  constructor(log) {
+    this.log = log;
+    this.ruleSet = new RuleSet(log.settings.ruleSet);
+    this.names = log.standings.length > 0
+      ? log.standings.map(entry => entry.name)
+      : log.roster.map(player => player.name);
+  }
+
+  /**
+   * Every match a player took part in, seen from that player's side
+   * @param {string} name - Player name
+   * @returns {Array<{opponent: string, stage: string, result: string, rounds: Array<{own: string, other: string, outcome: string}>}>}
+   */
+  appearances(name) {
+    return this.log.matches
+      .filter(match => match.player1 === name || match.player2 === name)
+      .map(match => {
+        const side = match.player1 === name ? 1 : 2;
+        return {
+          opponent: side === 1 ? match.player2 : match.player1,
+          stage: match.stage,
+          result: side === 1 ? match.result?.player1Result : match.result?.player2Result,
+          rounds: match.rounds.map(round => ({
+            own: side === 1 ? round.move1 : round.move2,
+            other: side === 1 ? round.move2 : round.move1,
+            outcome: round.winner === 0 ? 'tie' : round.winner === side ? 'win' : 'loss'
+          }))
+        };
+      });
+  }
+
+  /**
+   * Round scores between every pair of players, summed over all their meetings
+   * @returns {Map<string, Map<string, {won: number, lost: number, tied: number, results: string[]}>>}
+   */
+  headToHead() {
+    const table = new Map(this.names.map(name => [name, new Map()]));
+
+    for (const name of this.names) {
+      for (const appearance of this.appearances(name)) {
+        const row = table.get(name);
+        const cell = row.get(appearance.opponent) || { won: 0, lost: 0, tied: 0, results: [] };
+        appearance.rounds.forEach(round => {
+          if (round.outcome === 'win') cell.won++;
+          else if (round.outcome === 'loss') cell.lost++;
+          else cell.tied++;
+        });
+        if (appearance.result) cell.results.push(appearance.result);
+        row.set(appearance.opponent, cell);
+      }
+    }
+
+    return table;
+  }
+
+  /**
+   * Each player's most played move; ties go to the move listed first in the rule set
+   * @returns {Map<string, string|null>}
+   */
+  favouriteMoves() {
+    return new Map(this.names.map(name => {
+      const counts = this.moveFrequency(name);
+      const favourite = this.ruleSet.keys.reduce((best, key) =>
+        (counts[key] || 0) > (counts[best] || 0) ? key : best, this.ruleSet.keys[0]);
+      return [name, counts[favourite] ? favourite : null];
+    }));
+  }
+
+  /**
+   * How often a player used each move
+   * @param {string} name - Player name
+   * @returns {Object.<string, number>} Count per move abbreviation
+   */
+  moveFrequency(name) {
+    const counts = Object.fromEntries(this.ruleSet.keys.map(key => [key, 0]));
+    for (const appearance of this.appearances(name)) {
+      for (const round of appearance.rounds) {
+        if (round.own in counts) counts[round.own]++;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Analytics panel data for one player
+   * @param {string} name - Player name
+   * @returns {Object} Move frequency, win rate by round number, longest winning streak and results against each favoured move
+   */
+  forPlayer(name) {
+    const appearances = this.appearances(name);
+    const frequency = this.moveFrequency(name);
+    const totalMoves = Object.values(frequency).reduce((sum, count) => sum + count, 0);
+
+    const byRound = [];
+    for (const appearance of appearances) {
+      appearance.rounds.forEach((round, index) => {
+        byRound[index] ||= { played: 0, won: 0 };
+        byRound[index].played++;
+        if (round.outcome === 'win') byRound[index].won++;
+      });
+    }
+
+    let streak = 0, longestStreak = 0;
+    for (const appearance of appearances) {
+      streak = appearance.result === 'Win' ? streak + 1 : 0;
+      longestStreak = Math.max(longestStreak, streak);
+    }
+
+    const favourites = this.favouriteMoves();
+    const vsFavourite = Object.fromEntries(this.ruleSet.keys.map(key => [key, { matches: 0, wins: 0, losses: 0, ties: 0 }]));
+    for (const appearance of appearances) {
+      const favourite = favourites.get(appearance.opponent);
+      if (!favourite) continue;
+      const bucket = vsFavourite[favourite];
+      bucket.matches++;
+      if (appearance.result === 'Win') bucket.wins++;
+      else if (appearance.result === 'Loss') bucket.losses++;
+      else bucket.ties++;
+    }
+
+    return {
+      name,
+      matches: appearances.length,
+      moveShare: Object.fromEntries(Object.entries(frequency).map(([key, count]) => [key, totalMoves ? count / totalMoves : 0])),
+      moveCounts: frequency,
+      winRateByRound: byRound.map(({ played, won }, index) => ({ round: index + 1, played, won, rate: played ? won / played : 0 })),
+      longestStreak,
+      vsFavourite
+    };
+  }
+}
@@ -0,0 +1,152 @@
+import { TournamentStatistics } from './statistics.js';
+import { escapeHtml } from './dom.js';
+
+/**
+ * Head-to-head cross-table and per-player analytics dashboard
+ */
+export class StatsView {
+  static container = () => document.getElementById("statistics");
+
+  static statistics = null;
+  static selected = null;
+
+  /**
+   * Shows statistics for a finished run or an imported replay
+   * @param {ReplayLog} log - Log of the run
+   */
+  static show(log) {
+    this.statistics = new TournamentStatistics(log);
+    this.selected = this.statistics.names[0] || null;
+
+    const container = this.container();
+    container.onclick = (event) => {
+      const name = event.target.closest("[data-player]")?.dataset.player;
+      if (name !== undefined) this.select(name);
+    };
+    container.onchange = (event) => {
+      if (event.target.dataset.control === 'player') this.select(event.target.value);
+    };
+
+    this.render();
+  }
+
+  /**
+   * Removes the dashboard
+   */
+  static clear() {
+    this.statistics = null;
+    this.container().innerHTML = "";
+  }
+
+  /**
+   * Switches the analytics panel to another player
+   * @param {string} name - Player name
+   */
+  static select(name) {
+    this.selected = name;
+    this.render();
+  }
+
+  static render() {
+    if (!this.statistics || this.statistics.names.length === 0) return;
+
+    this.container().innerHTML = `
+      <h3 style="text-align:center;">Head-to-Head</h3>
+      ${this.renderMatrix()}
+      <h3 style="text-align:center;">Player Statistics</h3>
+      ${this.renderPlayer()}
+    `;
+  }
+
+  /**
+   * Cross-table with the round score of every pairing, read from the row player's side
+   * @returns {string} HTML
+   */
+  static renderMatrix() {
+    const { names } = this.statistics;
+    const table = this.statistics.headToHead();
+    const resultClass = results => {
+      if (results.length === 0) return "";
+      if (results.every(result => result === 'Win')) return "h2h-win";
+      if (results.every(result => result === 'Loss')) return "h2h-loss";
+      return "h2h-tie";
+    };
+
+    return `
+      <div class="h2h-wrapper">
+        <table class="h2h">
+          <thead>
+            <tr><th></th>${names.map((name, index) => `<th title="${escapeHtml(name)}">${index + 1}</th>`).join("")}</tr>
+          </thead>
+          <tbody>
+            ${names.map((name, row) => `
+              <tr>
+                <th class="expandable" data-player="${escapeHtml(name)}">${row + 1}. ${escapeHtml(name)}</th>
+                ${names.map(opponent => {
+                  if (opponent === name) return `<td class="h2h-self">—</td>`;
+                  const cell = table.get(name).get(opponent);
+                  if (!cell) return `<td></td>`;
+                  return `<td class="${resultClass(cell.results)}" title="${escapeHtml(`${name} vs ${opponent}`)}: ${cell.won} won, ${cell.lost} lost, ${cell.tied} tied">${cell.won}–${cell.lost}</td>`;
+                }).join("")}
+              </tr>
+            `).join("")}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Analytics panel for the selected player
+   * @returns {string} HTML
+   */
+  static renderPlayer() {
+    const { names, ruleSet } = this.statistics;
+    const stats = this.statistics.forPlayer(this.selected);
+    const percent = value => `${Math.round(value * 100)}%`;
+    const bar = value => `<div class="stat-bar"><div style="width:${percent(value)}"></div></div>`;
+
+    return `
+      <div class="player-stats">
+        <select data-control="player" aria-label="Player">
+          ${names.map(name => `<option value="${escapeHtml(name)}" ${name === this.selected ? "selected" : ""}>${escapeHtml(name)}</option>`).join("")}
+        </select>
+        <p>${stats.matches} match(es) · Longest winning streak: <strong>${stats.longestStreak}</strong></p>
+        <div class="stat-grid">
+          <div>
+            <h4>Move Frequency</h4>
+            ${ruleSet.keys.map(key => `
+              <div class="stat-row">
+                <span>${escapeHtml(ruleSet.label(key))}</span>
+                ${bar(stats.moveShare[key])}
+                <span>${percent(stats.moveShare[key])} (${stats.moveCounts[key]})</span>
+              </div>
+            `).join("")}
+          </div>
+          <div>
+            <h4>Win Rate by Round</h4>
+            ${stats.winRateByRound.map(round => `
+              <div class="stat-row">
+                <span>Round ${round.round}</span>
+                ${bar(round.rate)}
+                <span>${percent(round.rate)} (${round.won}/${round.played})</span>
+              </div>
+            `).join("") || "<p>No rounds played.</p>"}
+          </div>
+          <div>
+            <h4>Against Opponents Who Favour…</h4>
+            <table>
+              <thead><tr><th>Move</th><th>Matches</th><th>W</th><th>L</th><th>T</th></tr></thead>
+              <tbody>
+                ${ruleSet.keys.map(key => {
+                  const bucket = stats.vsFavourite[key];
+                  return `<tr><td>${escapeHtml(ruleSet.label(key))}</td><td>${bucket.matches}</td><td>${bucket.wins}</td><td>${bucket.losses}</td><td>${bucket.ties}</td></tr>`;
+                }).join("")}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,120 @@
+import { ColumnMapping } from './column-mapping.js';
+import { SubmissionWindow } from './submission-window.js';
+import { escapeHtml } from './dom.js';
+
+/**
+ * Preview of the submission window
+ * Shows how many rows each boundary keeps out before the run starts, so a
+ * wrong date, time zone or date order shows up while it can still be fixed.
+ */
+export class SubmissionWindowView {
+  static container = () => document.getElementById("windowPreview");
+
+  // Rows of the last previewed roster, kept so edits to the window update the counts without refetching
+  static rows = null;
+  static sourceLabel = "";
+
+  /**
+   * Builds the submission window from the start, end, time zone and date order fields
+   * @returns {SubmissionWindow}
+   * @throws {Error} If a time is unreadable or the window ends before it starts
+   */
+  static readWindow() {
+    return SubmissionWindow.fromFields({
+      startDate: document.getElementById("sheetDate").value.trim(),
+      startTime: document.getElementById("sheetTime").value.trim(),
+      endDate: document.getElementById("endDate").value.trim(),
+      endTime: document.getElementById("endTime").value.trim(),
+      timeZone: document.getElementById("timeZone").value || 'local',
+      dateOrder: document.getElementById("dateOrder").value
+    });
+  }
+
+  /**
+   * Fetches a roster and previews the current window against it. A saved
+   * column mapping is used when there is one, the guessed mapping otherwise.
+   * @param {DataSource} source - Source to preview
+   * @param {RuleSet|null} ruleSet - Rule set used to recognise move columns
+   * @returns {Promise<void>}
+   */
+  static async preview(source, ruleSet) {
+    this.showMessage("Loading submissions…");
+    let table;
+    try {
+      table = await source.fetchTable();
+    } catch (error) {
+      this.rows = null;
+      this.showMessage(`Could not load the roster: ${error.message}`);
+      return;
+    }
+
+    const mapping = ColumnMapping.load(source.key, table.header) || ColumnMapping.guess(table.header, table.rows, ruleSet);
+    if (mapping.column('timestamp') === -1) {
+      this.rows = null;
+      this.showMessage("No timestamp column is mapped, so every submission takes part.");
+      return;
+    }
+
+    this.rows = mapping.apply(table.rows);
+    this.sourceLabel = source.label;
+    this.refresh();
+  }
+
+  /**
+   * Recounts the previewed rows against the window currently in the form
+   */
+  static refresh() {
+    if (!this.rows) return;
+
+    let submissionWindow;
+    try {
+      submissionWindow = this.readWindow().forRows(this.rows);
+    } catch (error) {
+      this.showMessage(error.message);
+      return;
+    }
+    this.render(submissionWindow, submissionWindow.classify(this.rows));
+  }
+
+  /**
+   * Renders the counts of a classified roster
+   * @param {SubmissionWindow} submissionWindow - Window the rows were classified by
+   * @param {Object} groups - Result of SubmissionWindow.classify
+   */
+  static render(submissionWindow, { included, early, late, unreadable }) {
+    const total = included.length + early.length + late.length + unreadable.length;
+    if (!submissionWindow.isBounded) {
+      this.showMessage(`No start or end is set, so all ${total} submission(s) take part.`);
+      return;
+    }
+    const timeZone = submissionWindow.timeZone === 'local' ? "this browser's time zone" : submissionWindow.timeZone;
+
+    this.container().innerHTML = `
+      <div class="window-preview">
+        <strong>${included.length} of ${total} submission(s) fall inside the window</strong>
+        <span class="window-preview-note">${escapeHtml(this.sourceLabel)} · dates read ${submissionWindow.dateOrder === 'dmy' ? "day first" : "month first"} · times in ${escapeHtml(timeZone)}</span>
+        <ul>
+          <li>${submissionWindow.start ? `Start ${submissionWindow.formatDate(submissionWindow.start)}: ${early.length} earlier submission(s) left out` : "No start: nothing is left out for being early"}</li>
+          <li>${submissionWindow.end ? `End ${submissionWindow.formatDate(submissionWindow.end)}: ${late.length} later submission(s) left out` : "No end: nothing is left out for being late"}</li>
+          ${unreadable.length > 0 ? `<li class="window-preview-warning">${unreadable.length} submission(s) with a missing or unreadable timestamp, listed in the roster check</li>` : ""}
+        </ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Replaces the preview with a single line
+   * @param {string} message - Text to show
+   */
+  static showMessage(message) {
+    this.container().innerHTML = `<div class="window-preview">${escapeHtml(message)}</div>`;
+  }
+
+  /**
+   * Forgets the previewed roster and empties the preview
+   */
+  static clear() {
+    this.rows = null;
+    this.container().innerHTML = "";
+  }
+}
@@ -0,0 +1,311 @@
+/**
+ * Submission window
+ * Decides which form submissions take part: those stamped on or after the
+ * start and before the end. Timestamps are read as wall-clock times in the
+ * time zone the sheet records them in, which need not be the browser's.
+ */
+
+/**
+ * Parses time input to 24-hour format (HH:MM)
+ * Accepts both 12-hour (e.g., "12:00 PM") and 24-hour (e.g., "14:00") formats
+ * @param {string} timeStr - Time string to parse
+ * @returns {string} Time in 24-hour HH:MM format
+ */
+export function parseTime(timeStr) {
+  const trimmed = timeStr.trim();
+
+  // Check if it's 12-hour format (contains AM/PM)
+  const twelveHourRegex = /^(\d{1,2}):(\d{2})\s*(AM|PM)$/i;
+  const match = trimmed.match(twelveHourRegex);
+
+  if (match) {
+    let [_, hours, minutes, period] = match;
+    hours = parseInt(hours, 10);
+    minutes = parseInt(minutes, 10);
+
+    if (period.toUpperCase() === 'PM' && hours !== 12) {
+      hours += 12;
+    } else if (period.toUpperCase() === 'AM' && hours === 12) {
+      hours = 0;
+    }
+
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+  }
+
+  // Assume it's already 24-hour format (HH:MM)
+  const twentyFourHourRegex = /^(\d{1,2}):(\d{2})$/;
+  const match24 = trimmed.match(twentyFourHourRegex);
+
+  if (match24) {
+    let [_, hours, minutes] = match24;
+    hours = parseInt(hours, 10);
+    minutes = parseInt(minutes, 10);
+
+    if (hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59) {
+      return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+    }
+  }
+
+  // Invalid format
+  throw new Error(`Invalid time format: ${timeStr}. Use HH:MM or H:MM AM/PM.`);
+}
+
+/**
+ * Parses a sheet timestamp to a Date object. Accepts the form export format
+ * "month/day/year hr:min:sec" (or day first, with optional seconds and AM/PM),
+ * gviz date cells such as "Date(2025,0,5,10,3,0)" and ISO 8601.
+ * @param {string} timestampStr - Timestamp string
+ * @param {Object} [options]
+ * @param {string} [options.timeZone='local'] - Time zone the sheet recorded the time in; ISO 8601 offsets take precedence
+ * @param {'mdy'|'dmy'} [options.dateOrder='mdy'] - Whether slash dates give the month or the day first
+ * @returns {Date} Parsed Date object
+ */
+export function parseTimestamp(timestampStr, { timeZone = 'local', dateOrder = 'mdy' } = {}) {
+  const trimmed = timestampStr.trim();
+  const number = value => parseInt(value ?? 0, 10);
+  let date;
+
+  // gviz date cells count months from zero
+  const gvizMatch = trimmed.match(/^Date\((\d+(?:\s*,\s*\d+){2,5})\)$/i);
+  const isoMatch = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+  const slashMatch = trimmed.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?$/i);
+
+  if (gvizMatch) {
+    date = zonedDate(gvizMatch[1].split(",").map(number), timeZone);
+  } else if (isoMatch) {
+    const [_, year, month, day, hours, minutes, seconds, offset] = isoMatch;
+    const parts = [number(year), number(month) - 1, number(day), number(hours), number(minutes), number(seconds)];
+    date = zonedDate(parts, offset ? 'UTC' : timeZone);
+    if (offset && offset.toUpperCase() !== 'Z') {
+      const [, sign, offsetHours, offsetMinutes] = offset.match(/([+-])(\d{2}):?(\d{2})/);
+      date = new Date(date.getTime() - (sign === '-' ? -1 : 1) * (number(offsetHours) * 60 + number(offsetMinutes)) * 60000);
+    }
+  } else if (slashMatch) {
+    const [_, first, second, year, hours, minutes, seconds, period] = slashMatch;
+    const [month, day] = dateOrder === 'dmy' ? [second, first] : [first, second];
+    let hour = number(hours);
+    if (period && (hour < 1 || hour > 12)) {
+      throw new Error(`Invalid hour in timestamp: ${timestampStr}`);
+    }
+    if (period) hour = (hour % 12) + (period.toUpperCase() === 'PM' ? 12 : 0);
+    date = zonedDate([number(year), number(month) - 1, number(day), hour, number(minutes), number(seconds)], timeZone);
+  } else {
+    throw new Error(`Invalid timestamp format: ${timestampStr}. Expected "month/day/year hr:min:sec", ISO 8601 or a Date(...) value.`);
+  }
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date in timestamp: ${timestampStr}`);
+  }
+
+  return date;
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {string} timeZone - IANA time zone name
+ * @param {number} instant - Milliseconds since the epoch
+ * @returns {number} Offset in milliseconds, positive east of Greenwich
+ */
+function timeZoneOffset(timeZone, instant) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(instant)).map(part => [part.type, Number(part.value)]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Instant denoted by a wall-clock time in a time zone
+ * @param {Array<number>} parts - Year, zero-based month, day, and optionally hours, minutes and seconds
+ * @param {string} [timeZone='local'] - IANA time zone name, or 'local' for the browser's own
+ * @returns {Date} The instant, an invalid Date when the parts do not form a real date (e.g. 31 June)
+ */
+export function zonedDate([year, month, day, hours = 0, minutes = 0, seconds = 0], timeZone = 'local') {
+  const wallClock = Date.UTC(year, month, day, hours, minutes, seconds);
+  const check = new Date(wallClock);
+  if (check.getUTCMonth() !== month || check.getUTCDate() !== day || hours > 23 || minutes > 59 || seconds > 59) {
+    return new Date(NaN);
+  }
+
+  if (timeZone === 'local') {
+    return new Date(year, month, day, hours, minutes, seconds);
+  }
+
+  // The offset at the wall-clock time is off by the DST shift near a change; a second pass settles it
+  const guess = wallClock - timeZoneOffset(timeZone, wallClock);
+  return new Date(wallClock - timeZoneOffset(timeZone, guess));
+}
+
+/**
+ * Start and deadline of the submission period, with how to read the sheet's timestamps
+ */
+export class SubmissionWindow {
+  /**
+   * @param {Object} [options]
+   * @param {Date|null} [options.start=null] - Earliest submission taken, inclusive
+   * @param {Date|null} [options.end=null] - Deadline, exclusive
+   * @param {string} [options.timeZone='local'] - Time zone the sheet records timestamps in
+   * @param {'auto'|'mdy'|'dmy'} [options.dateOrder='auto'] - Order of slash dates, worked out from the rows when 'auto'
+   * @throws {Error} If the window ends before it starts
+   */
+  constructor({ start = null, end = null, timeZone = 'local', dateOrder = 'auto' } = {}) {
+    if (start && end && end <= start) {
+      throw new Error("The submission window must end after it starts");
+    }
+    this.start = start;
+    this.end = end;
+    this.timeZone = timeZone;
+    this.dateOrder = dateOrder;
+  }
+
+  /**
+   * Builds a window from the date and time fields of the form. The start time
+   * defaults to midnight; without an end time the whole end day counts.
+   * @param {Object} fields
+   * @param {string} [fields.startDate] - "YYYY-MM-DD", no start when empty
+   * @param {string} [fields.startTime] - Start time, see parseTime
+   * @param {string} [fields.endDate] - "YYYY-MM-DD", no end when empty
+   * @param {string} [fields.endTime] - Deadline time, see parseTime
+   * @param {string} [fields.timeZone] - Time zone of the boundaries and the timestamps
+   * @param {'auto'|'mdy'|'dmy'} [fields.dateOrder] - Order of slash dates in the sheet
+   * @returns {SubmissionWindow}
+   * @throws {Error} If a time is unreadable or the window ends before it starts
+   */
+  static fromFields({ startDate = "", startTime = "", endDate = "", endTime = "", timeZone = 'local', dateOrder = 'auto' }) {
+    const boundary = (date, time, nextDay) => {
+      const [year, month, day] = date.split("-").map(Number);
+      if (!time) {
+        const midnight = new Date(Date.UTC(year, month - 1, day + (nextDay ? 1 : 0)));
+        return zonedDate([midnight.getUTCFullYear(), midnight.getUTCMonth(), midnight.getUTCDate()], timeZone);
+      }
+      const [hours, minutes] = parseTime(time).split(":").map(Number);
+      return zonedDate([year, month - 1, day, hours, minutes], timeZone);
+    };
+
+    return new SubmissionWindow({
+      start: startDate ? boundary(startDate, startTime, false) : null,
+      end: endDate ? boundary(endDate, endTime, true) : null,
+      timeZone,
+      dateOrder
+    });
+  }
+
+  /**
+   * Whether the window leaves any submission out
+   * @returns {boolean}
+   */
+  get isBounded() {
+    return Boolean(this.start || this.end);
+  }
+
+  /**
+   * Works out the order of slash dates from the values themselves: a part
+   * above 12 can only be the day
+   * @param {Array<string>} timestamps - Timestamp cells
+   * @returns {'mdy'|'dmy'} Month first unless the values prove otherwise
+   */
+  static detectDateOrder(timestamps) {
+    for (const timestamp of timestamps) {
+      const match = timestamp?.trim().match(/^(\d{1,2})[/.](\d{1,2})[/.]\d{4}/);
+      if (!match) continue;
+      if (Number(match[1]) > 12) return 'dmy';
+      if (Number(match[2]) > 12) return 'mdy';
+    }
+    return 'mdy';
+  }
+
+  /**
+   * The same window with its date order settled for a set of rows
+   * @param {Array<string[]>} rows - Roster rows with the timestamp in column 0
+   * @returns {SubmissionWindow}
+   */
+  forRows(rows) {
+    if (this.dateOrder !== 'auto') return this;
+    return new SubmissionWindow({
+      start: this.start,
+      end: this.end,
+      timeZone: this.timeZone,
+      dateOrder: SubmissionWindow.detectDateOrder(rows.map(row => row[0]))
+    });
+  }
+
+  /**
+   * Reads a timestamp cell in the window's time zone and date order
+   * @param {string} timestamp - Timestamp cell
+   * @returns {Date}
+   * @throws {Error} If the timestamp is unreadable
+   */
+  parse(timestamp) {
+    const dateOrder = this.dateOrder === 'auto' ? SubmissionWindow.detectDateOrder([timestamp]) : this.dateOrder;
+    return parseTimestamp(timestamp, { timeZone: this.timeZone, dateOrder });
+  }
+
+  /**
+   * Sorts rows by where their timestamp falls
+   * @param {Array<string[]>} rows - Roster rows with the timestamp in column 0
+   * @returns {{included: Array<string[]>, early: Array<string[]>, late: Array<string[]>, unreadable: Array<{row: string[], reason: string}>}}
+   */
+  classify(rows) {
+    const groups = { included: [], early: [], late: [], unreadable: [] };
+
+    for (const row of rows) {
+      const timestamp = row[0]?.trim();
+      if (!timestamp) {
+        groups.unreadable.push({ row, reason: "missing timestamp" });
+        continue;
+      }
+
+      let submittedAt;
+      try {
+        submittedAt = this.parse(timestamp);
+      } catch (error) {
+        console.warn(`Skipping row due to invalid timestamp: ${timestamp}`, error);
+        groups.unreadable.push({ row, reason: `unreadable timestamp "${timestamp}"` });
+        continue;
+      }
+
+      if (this.start && submittedAt < this.start) {
+        groups.early.push(row);
+      } else if (this.end && submittedAt >= this.end) {
+        groups.late.push(row);
+      } else {
+        groups.included.push(row);
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Shows an instant as a date and time in the window's time zone
+   * @param {Date} date - Instant to show
+   * @returns {string}
+   */
+  formatDate(date) {
+    const options = { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' };
+    return date.toLocaleString(undefined, this.timeZone === 'local'
+      ? options
+      : { ...options, timeZone: this.timeZone, timeZoneName: 'short' });
+  }
+
+  /**
+   * Describes the window, e.g. for the history label
+   * @returns {string} e.g. "entries from 5 Jan 2025, 12:00 until 6 Jan 2025, 00:00"
+   */
+  describe() {
+    if (!this.isBounded) return "all entries";
+    return [
+      "entries",
+      this.start ? `from ${this.formatDate(this.start)}` : "",
+      this.end ? `until ${this.formatDate(this.end)}` : ""
+    ].filter(Boolean).join(" ");
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Team competition
+ * Players belong to the team given in the roster's team column. Team
+ * standings add up the members' individual results; the team fixtures
+ * format also awards each team-vs-team fixture by board wins.
+ */
+import { normalizeCell } from './sources.js';
+
+export const NO_TEAM = "No team";
+
+/**
+ * Team a player competes for
+ * @param {Player|Object} player - Player or leaderboard entry
+ * @returns {string} Team name, NO_TEAM when the roster gave none
+ */
+export function teamOf(player) {
+  return player.team?.trim() || NO_TEAM;
+}
+
+/**
+ * Whether two players compete for the same team; players without a team are never teammates
+ * @param {Player} player1 - First player
+ * @param {Player} player2 - Second player
+ * @returns {boolean}
+ */
+export function sameTeam(player1, player2) {
+  return Boolean(player1.team?.trim() && player2.team?.trim()) &&
+    normalizeCell(player1.team) === normalizeCell(player2.team);
+}
+
+/**
+ * Groups players by team, keeping roster order inside each team as the board order
+ * @param {Array<Player>} players - Players in roster order
+ * @returns {Array<{name: string, members: Array<Player>}>} Teams in order of first appearance
+ */
+export function groupTeams(players) {
+  const teams = new Map();
+  for (const player of players) {
+    const key = normalizeCell(teamOf(player));
+    if (!teams.has(key)) teams.set(key, { name: teamOf(player), members: [] });
+    teams.get(key).members.push(player);
+  }
+  return [...teams.values()];
+}
+
+/**
+ * Team leaderboard built from the individual one
+ */
+export class TeamStandings {
+  /**
+   * @param {Standings} standings - Points system shared with the individual standings
+   */
+  constructor(standings) {
+    this.standings = standings;
+  }
+
+  /**
+   * Adds up the members' results and ranks the teams. Fixture results come
+   * first when the teams met in fixtures, member points otherwise.
+   * @param {Array<Object>} leaderboard - Ranked individual leaderboard entries with `team` and `points`
+   * @param {Array<Object>} [fixtures] - Played fixtures, see TeamFixturesFormat
+   * @returns {Array<Object>} Team entries with rank and sharedRank
+   */
+  rank(leaderboard, fixtures = []) {
+    const teams = new Map();
+    for (const entry of leaderboard) {
+      const key = normalizeCell(teamOf(entry));
+      if (!teams.has(key)) {
+        teams.set(key, {
+          name: teamOf(entry), members: 0, points: 0, wins: 0, losses: 0, ties: 0,
+          roundWins: 0, roundLosses: 0, fixturesWon: 0, fixturesLost: 0, fixturesTied: 0, fixturePoints: 0
+        });
+      }
+      const team = teams.get(key);
+      team.members++;
+      team.points += entry.points;
+      team.wins += entry.wins;
+      team.losses += entry.losses;
+      team.ties += entry.ties;
+      team.roundWins += entry.roundWins;
+      team.roundLosses += entry.roundLosses;
+    }
+
+    for (const fixture of fixtures) {
+      fixture.teams.forEach((name, side) => {
+        const team = teams.get(normalizeCell(name));
+        if (!team) return;
+        const [own, other] = side === 0 ? fixture.score : [...fixture.score].reverse();
+        const result = own > other ? 'Win' : own < other ? 'Loss' : 'Tie';
+        if (result === 'Win') team.fixturesWon++;
+        if (result === 'Loss') team.fixturesLost++;
+        if (result === 'Tie') team.fixturesTied++;
+        team.fixturePoints += this.standings.pointsFor(result);
+      });
+    }
+
+    const roundDiff = team => team.roundWins - team.roundLosses;
+    const compare = (a, b) => b.fixturePoints - a.fixturePoints || b.points - a.points || roundDiff(b) - roundDiff(a);
+    const entries = [...teams.values()].sort((a, b) => compare(a, b) || a.name.localeCompare(b.name));
+
+    entries.forEach((entry, index) => {
+      const previous = entries[index - 1];
+      const next = entries[index + 1];
+      entry.rank = previous && compare(previous, entry) === 0 ? previous.rank : index + 1;
+      entry.sharedRank = (previous && compare(previous, entry) === 0) || (next && compare(entry, next) === 0) || false;
+    });
+    return entries;
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Draws a running tournament on the page
+ * Subscribes to the engine's events and answers its prompts with the page's
+ * dialogs; the engine itself never touches the DOM.
+ */
+import { UI } from './ui.js';
+import { BracketView } from './bracket-view.js';
+import { LeaderboardView } from './leaderboard-view.js';
+import { ColumnMappingView } from './column-mapping-view.js';
+import { ValidationView } from './validation-view.js';
+import { LivePlayView } from './live-play-view.js';
+import { ReplayView } from './replay-view.js';
+import { StatsView } from './stats-view.js';
+import { PresentationView } from './presentation-view.js';
+
+export class TournamentRenderer {
+  /**
+   * @param {Tournament} tournament - Engine to draw
+   */
+  constructor(tournament) {
+    this.tournament = tournament;
+
+    tournament.prompts = {
+      reviewMapping: (table, mapping, sourceLabel) => ColumnMappingView.review(table, mapping, sourceLabel),
+      reviewRoster: report => ValidationView.review(report),
+      chooseMoves: (sides, round, ruleSet) => PresentationView.aside(LivePlayView.chooseMoves(sides, round, ruleSet)),
+      promptMove: (playerName, reason, ruleSet) => PresentationView.aside(UI.promptMove(playerName, reason, ruleSet))
+    };
+    PresentationView.connect(tournament);
+
+    tournament.on('loading', ({ loading }) => UI.showLoading(loading));
+    tournament.on('stage', ({ kind, label }) => UI.showMatchAnimation(kind === 'playoff' ? `⚔️ ${label} ⚔️` : label));
+    tournament.on('bracket', ({ bracket, seeds }) => BracketView.render(bracket, seeds));
+    tournament.on('matchStart', ({ player1, player2, animate }) => {
+      if (animate) UI.showMatchAnimation(`${player1.name} vs ${player2.name}`);
+    });
+    tournament.on('round', ({ player1, player2, move1, move2, winner, animate }) => {
+      if (animate) UI.showRoundAnimation(player1.name, player2.name, move1, move2, winner, tournament.ruleSet);
+    });
+    tournament.on('progress', ({ played, total }) => UI.updateProgress(Math.min((played / total) * 100, 100)));
+    tournament.on('standings', ({ leaderboard, columns, caption, teams, teamFixtures }) => {
+      LeaderboardView.update(leaderboard, columns, caption);
+      if (teams) UI.updateTeamLeaderboard(teams, teamFixtures);
+    });
+    tournament.on('champion', outcome => this.showChampion(outcome));
+    tournament.on('finished', ({ log, problems }) => {
+      ReplayView.show(log, problems);
+      StatsView.show(log);
+      UI.enableExports(true);
+    });
+    tournament.on('cancelled', () => UI.showResult("Tournament cancelled"));
+    tournament.on('aborted', () => {
+      LivePlayView.cancel();
+      UI.resetTournamentView();
+      PresentationView.clear();
+      UI.showResult("Tournament aborted");
+    });
+    tournament.on('error', ({ error, hint }) => UI.showError(error.message, hint));
+    tournament.on('speed', ({ multiplier }) => {
+      UI.updateSpeedLabel(multiplier);
+      UI.updateMatrixSpeed(multiplier);
+    });
+    tournament.playback.onChange(playback => UI.updatePlaybackControls(playback));
+  }
+
+  /**
+   * Announces the champion, or the co-champions the tiebreak chain and any
+   * playoff could not separate, with the team title below
+   * @param {Object} outcome - Details of the `champion` event
+   */
+  showChampion({ champions, playoff, teamChampions }) {
+    const names = champions.join(" & ");
+    const text = champions.length === 1 ? `🏆 Champion: ${names} 🏆` : `🏆 Co-Champions: ${names} 🏆`;
+    const note = playoff?.decided ? `Title decided by playoff after ${playoff.rounds} sudden-death round(s)`
+      : playoff ? "The playoff could not separate them" : "";
+
+    const teamNames = teamChampions?.join(" & ");
+    const secondaryText = !teamChampions ? ""
+      : teamChampions.length === 1 ? `🏅 Team Champion: ${teamNames} 🏅` : `🏅 Team Co-Champions: ${teamNames} 🏅`;
+    UI.showResult(text, { note, secondaryText });
+  }
+}
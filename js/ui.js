@@ -0,0 +1,351 @@
+/**
+ * Page rendering helpers: form controls, leaderboards, animations and prompts
+ */
+import { CONFIG } from './config.js';
+import { MOVE_POLICIES } from './move-policy.js';
+import { Standings, TIEBREAKERS } from './standings.js';
+import { BOT_STRATEGIES } from './bots.js';
+import { BracketView } from './bracket-view.js';
+import { ReplayView } from './replay-view.js';
+import { StatsView } from './stats-view.js';
+import { LeaderboardView } from './leaderboard-view.js';
+import { element } from './dom.js';
+
+/**
+ * UI class handling all user interface operations
+ */
+export class UI {
+  static elements = {
+    sheetUrl: () => document.getElementById("sheetUrl"),
+    sheetName: () => document.getElementById("sheetName"),
+    sheetDate: () => document.getElementById("sheetDate"),
+    sheetTime: () => document.getElementById("sheetTime"),
+    timeZone: () => document.getElementById("timeZone"),
+    sourceType: () => document.getElementById("sourceType"),
+    sheetSource: () => document.getElementById("sheetSource"),
+    fileSource: () => document.getElementById("fileSource"),
+    rosterFile: () => document.getElementById("rosterFile"),
+    dropZone: () => document.getElementById("dropZone"),
+    seeding: () => document.getElementById("seeding"),
+    knockoutTieRule: () => document.getElementById("knockoutTieRule"),
+    swissRounds: () => document.getElementById("swissRounds"),
+    skipSameTeam: () => document.getElementById("skipSameTeam"),
+    customRules: () => document.getElementById("customRules"),
+    requiredRounds: () => document.getElementById("requiredRounds"),
+    exportReplay: () => document.getElementById("exportReplay"),
+    exportResults: () => document.getElementById("exportResults"),
+    playbackControls: () => document.getElementById("playbackControls"),
+    playbackState: () => document.getElementById("playbackState"),
+    loadButton: () => document.getElementById("loadButton"),
+    loading: () => document.getElementById("loading"),
+    progressBar: () => document.getElementById("progress-bar"),
+    sheetData: () => document.getElementById("sheetData"),
+    teamStandings: () => document.getElementById("teamStandings"),
+    result: () => document.getElementById("result"),
+    animation: () => document.getElementById("animation"),
+    speedLabel: () => document.getElementById("speedLabel")
+  };
+
+  /**
+   * Shows or hides loading indicator
+   * @param {boolean} show - Whether to show loading
+   */
+  static showLoading(show) {
+    this.elements.loading().style.display = show ? "block" : "none";
+  }
+
+  /**
+   * Updates progress bar
+   * @param {number} percentage - Progress percentage
+   */
+  static updateProgress(percentage) {
+    this.elements.progressBar().style.width = `${percentage}%`;
+  }
+
+  /**
+   * Shows error message
+   * @param {string} message - Error message
+   * @param {string} [hint] - Troubleshooting hint for the current data source
+   */
+  static showError(message, hint = "") {
+    this.showLoading(false);
+    LeaderboardView.clear();
+    this.elements.sheetData().replaceChildren(element("div", { className: "error" }, `${message}.${hint ? ` ${hint}` : ""}`));
+  }
+
+  /**
+   * Updates the team leaderboard shown next to the individual one
+   * @param {Array<Object>} teams - Ranked team entries, see TeamStandings.rank
+   * @param {boolean} [withFixtures=false] - Show fixture results, for formats where teams meet as teams
+   */
+  static updateTeamLeaderboard(teams, withFixtures = false) {
+    const cell = value => element("td", {}, value);
+    const header = ["#", "Team", "Players", ...(withFixtures ? ["Fixtures W-L-T", "Fixture Pts"] : []), "Wins", "Losses", "Ties", "Points"];
+
+    this.elements.teamStandings().replaceChildren(
+      element("h3", { style: "text-align:center;" }, "Team Standings"),
+      element("table", {},
+        element("thead", {}, element("tr", {}, header.map(label => element("th", {}, label)))),
+        element("tbody", {}, teams.map(team => element("tr", { className: team.rank === 1 ? "highlight" : "" },
+          cell(Standings.formatRank(team)),
+          cell(team.name),
+          cell(team.members),
+          withFixtures && [cell(`${team.fixturesWon}-${team.fixturesLost}-${team.fixturesTied}`), cell(team.fixturePoints)],
+          cell(team.wins),
+          cell(team.losses),
+          cell(team.ties),
+          cell(team.points)
+        )))
+      )
+    );
+  }
+
+  /**
+   * Shows match animation
+   * @param {string} matchText - Text to display for the match
+   */
+  static showMatchAnimation(matchText) {
+    this.elements.animation().textContent = matchText;
+  }
+
+  /**
+   * Shows round animation
+   * @param {string} p1Name - Player 1 name
+   * @param {string} p2Name - Player 2 name
+   * @param {string} move1 - Player 1 move
+   * @param {string} move2 - Player 2 move
+   * @param {string|null} winner - Winner name or null for tie
+   * @param {RuleSet} ruleSet - Rule set the moves belong to
+   */
+  static showRoundAnimation(p1Name, p2Name, move1, move2, winner, ruleSet) {
+    const display = name => (winner === name ? element("span", { className: "underline" }, name) : name);
+
+    this.elements.animation().replaceChildren(
+      element("div", { style: "display:flex;align-items:center;justify-content:center;gap:20px;flex-wrap:wrap;" },
+        element("div", {}, display(p1Name)),
+        element("div", {}, this.moveNode(move1, ruleSet)),
+        element("div", { style: "font-size:1.5rem;" }, "vs"),
+        element("div", {}, this.moveNode(move2, ruleSet)),
+        element("div", {}, display(p2Name))
+      )
+    );
+  }
+
+  /**
+   * Builds a move: its image, else its emoji, else its name as text, showing
+   * forfeited rounds as such
+   * @param {string} move - Move abbreviation
+   * @param {RuleSet} ruleSet - Rule set the move belongs to
+   * @returns {HTMLElement}
+   */
+  static moveNode(move, ruleSet) {
+    if (move === CONFIG.FORFEIT_MOVE) {
+      return element("span", { className: "move-glyph move-text forfeit" }, "Forfeit");
+    }
+    const definition = ruleSet.moves.find(candidate => candidate.key === move);
+    if (!definition) {
+      return element("span", { className: "move-glyph move-text", title: "Invalid move" }, move || "?");
+    }
+    if (definition.image) {
+      return element("img", { src: definition.image, alt: definition.name });
+    }
+    if (definition.emoji) {
+      return element("span", { className: "move-glyph", title: definition.name }, definition.emoji);
+    }
+    return element("span", { className: "move-glyph move-text" }, definition.name);
+  }
+
+  /**
+   * Renders a move as markup, for views built from HTML strings
+   * @param {string} move - Move abbreviation
+   * @param {RuleSet} ruleSet - Rule set the move belongs to
+   * @returns {string} Move HTML
+   */
+  static renderMove(move, ruleSet) {
+    return this.moveNode(move, ruleSet).outerHTML;
+  }
+
+  /**
+   * Asks for a move live, e.g. when a playoff runs out of spare sheet moves
+   * @param {string} playerName - Player who has to choose
+   * @param {string} reason - Why the move is needed
+   * @param {RuleSet} ruleSet - Rule set offering the moves
+   * @returns {Promise<string|null>} Chosen move, or null if the prompt was cancelled
+   */
+  static promptMove(playerName, reason, ruleSet) {
+    return new Promise(resolve => {
+      const animation = this.elements.animation();
+      animation.onclick = (event) => {
+        const button = event.target.closest("button");
+        if (!button) return;
+        animation.onclick = null;
+        resolve(button.dataset.move ?? null);
+      };
+      animation.replaceChildren(
+        element("div", { className: "move-prompt" },
+          element("div", {}, `${playerName}, choose your move`),
+          element("small", {}, reason),
+          element("div", { className: "move-options" }, ruleSet.keys.map(move =>
+            element("button", { className: "move-option", title: ruleSet.label(move), dataset: { move } }, this.moveNode(move, ruleSet))
+          )),
+          element("button", { className: "move-cancel" }, "Cancel playoff")
+        )
+      );
+    });
+  }
+
+  /**
+   * Enables or disables exporting the results and replay of the last run
+   * @param {boolean} enabled - Whether a finished run is available
+   */
+  static enableExports(enabled) {
+    this.elements.exportReplay().disabled = !enabled;
+    this.elements.exportResults().disabled = !enabled;
+  }
+
+  /**
+   * Reflects the playback state in the control buttons
+   * @param {PlaybackController} playback - Playback controller of the tournament
+   */
+  static updatePlaybackControls(playback) {
+    const active = ['running', 'paused', 'instant'].includes(playback.state);
+    const controls = this.elements.playbackControls();
+    controls.classList.toggle("active", active);
+    controls.querySelectorAll("button").forEach(button => {
+      button.disabled = !active || (playback.isInstant && button.dataset.control !== 'abort');
+    });
+
+    const pauseButton = controls.querySelector('[data-control="pause"]');
+    pauseButton.textContent = playback.state === 'paused' ? "▶ Resume" : "⏸ Pause";
+    pauseButton.classList.toggle("paused", playback.state === 'paused');
+
+    this.elements.playbackState().textContent = {
+      running: "Running",
+      paused: "Paused",
+      instant: "Finishing instantly…",
+      aborted: "Aborting…"
+    }[playback.state] || "";
+    this.elements.loadButton().disabled = playback.state !== 'idle';
+  }
+
+  /**
+   * Clears every view of a run, used when a run is aborted
+   */
+  static resetTournamentView() {
+    this.showLoading(false);
+    this.updateProgress(0);
+    LeaderboardView.clear();
+    this.elements.teamStandings().innerHTML = "";
+    this.elements.animation().innerHTML = "";
+    BracketView.clear();
+    ReplayView.clear();
+    StatsView.clear();
+  }
+
+  /**
+   * Shows final result
+   * @param {string} resultText - Result text to display
+   * @param {Object} [details]
+   * @param {string} [details.note] - Smaller line under the result, e.g. how the title was decided
+   * @param {string} [details.secondaryText] - Further announcement below it, e.g. the team champion
+   */
+  static showResult(resultText, { note = "", secondaryText = "" } = {}) {
+    this.elements.result().replaceChildren(
+      element("h2", {}, resultText, note && [element("br"), element("small", {}, note)]),
+      secondaryText && element("h3", {}, secondaryText)
+    );
+  }
+
+  /**
+   * Updates speed label
+   * @param {number} multiplier - Speed multiplier
+   */
+  static updateSpeedLabel(multiplier) {
+    this.elements.speedLabel().textContent = `${multiplier.toFixed(1)}×`;
+  }
+
+  /**
+   * Updates matrix animation speed (if matrix is active)
+   * @param {number} multiplier - Speed multiplier
+   */
+  static updateMatrixSpeed(multiplier) {
+    const chars = document.querySelectorAll(".matrix-char");
+    chars.forEach(char => {
+      const baseDuration = parseFloat(char.style.animationDuration) || 1;
+      const newDuration = Math.max(baseDuration / multiplier, CONFIG.MIN_ANIMATION_DURATION);
+      char.style.animationDuration = `${newDuration}s`;
+    });
+  }
+
+  /**
+   * Shows the inputs belonging to the selected roster source
+   * @param {string} sourceType - 'sheet', 'file' or 'live'
+   */
+  static showSourceInputs(sourceType) {
+    this.elements.sheetSource().style.display = sourceType === 'sheet' ? "contents" : "none";
+    this.elements.fileSource().style.display = sourceType === 'file' ? "flex" : "none";
+  }
+
+  /**
+   * Shows the seeding, tie and round options that apply to the selected format
+   * @param {string} formatType - Key of the selected tournament format
+   */
+  static showFormatOptions(formatType) {
+    const knockout = formatType.endsWith('elimination');
+    this.elements.seeding().style.display = formatType !== 'round-robin' ? "" : "none";
+    this.elements.knockoutTieRule().style.display = knockout ? "" : "none";
+    this.elements.swissRounds().style.display = formatType === 'swiss' ? "" : "none";
+    this.elements.skipSameTeam().parentElement.style.display = ['round-robin', 'swiss'].includes(formatType) ? "" : "none";
+  }
+
+  /**
+   * Fills the tiebreak chain selects with the available criteria
+   * @param {string[]} chain - Criteria selected by default, in order
+   */
+  static populateTiebreakSelects(chain) {
+    document.querySelectorAll(".tiebreak-select").forEach((select, index) => {
+      select.innerHTML = `<option value="">(none)</option>` + Object.entries(TIEBREAKERS)
+        .map(([key, tiebreaker]) => `<option value="${key}">${tiebreaker.label}</option>`)
+        .join("");
+      select.value = chain[index] || "";
+    });
+  }
+
+  /**
+   * Fills the move policy select with the available policies
+   */
+  static populateMovePolicies() {
+    document.getElementById("movePolicy").innerHTML = Object.entries(MOVE_POLICIES)
+      .map(([key, label]) => `<option value="${key}">${label}</option>`)
+      .join("");
+  }
+
+  /**
+   * Fills the bot picker with the available strategies
+   */
+  static populateBots() {
+    document.getElementById("botPicker").innerHTML = `<span>Bots:</span>` + Object.entries(BOT_STRATEGIES)
+      .map(([key, { label }]) => `<label><input type="checkbox" value="${key}" /> ${label}</label>`)
+      .join("");
+  }
+
+  /**
+   * Fills the time zone select, defaulting to the browser's own zone
+   */
+  static populateTimeZones() {
+    const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    this.elements.timeZone().innerHTML = `<option value="local">Time zone: this browser${browserZone ? ` (${browserZone})` : ""}</option>` +
+      ["UTC", ...zones.filter(zone => zone !== "UTC")].map(zone => `<option value="${zone}">Time zone: ${zone}</option>`).join("");
+  }
+
+  /**
+   * Shows the name of the roster file that will be loaded
+   * @param {File|null} file - Selected file
+   */
+  static showSelectedFile(file) {
+    this.elements.dropZone().textContent = file
+      ? `📄 ${file.name}`
+      : "Drop a CSV, TSV or JSON roster here, or click to browse";
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Pre-flight validation report shown before a tournament starts
+ */
+import { escapeHtml } from './dom.js';
+
+export class ValidationView {
+  static container = () => document.getElementById("validation");
+
+  static actionLabels = {
+    include: "Include anyway",
+    exclude: "Exclude player",
+    rename: "Rename…",
+    forfeit: "Treat as forfeit",
+    merge: "Keep latest submission",
+    'rename-all': "Rename duplicates",
+    dismiss: "Keep as is"
+  };
+
+  /**
+   * Shows the report and waits until the organiser starts or cancels the tournament
+   * @param {RosterReport} report - Report to review
+   * @returns {Promise<boolean>} True to start the tournament, false to cancel
+   */
+  static review(report) {
+    const container = this.container();
+
+    return new Promise(resolve => {
+      const finish = (start) => {
+        container.onclick = null;
+        container.innerHTML = "";
+        resolve(start);
+      };
+
+      container.onclick = (event) => {
+        const button = event.target.closest("button");
+        if (!button) return;
+
+        if (button.dataset.control === 'start') return finish(true);
+        if (button.dataset.control === 'cancel') return finish(false);
+        if (button.dataset.control === 'forfeit-all') {
+          report.forfeitAllInvalidMoves();
+        } else {
+          const issue = report.issues.find(candidate => candidate.id === button.dataset.issue);
+          if (!issue) return;
+
+          let value;
+          if (button.dataset.action === 'rename') {
+            value = prompt("New player name:", issue.entry.row[1] || "");
+            if (!value?.trim()) return;
+          }
+          report.apply(issue, button.dataset.action, value);
+        }
+        this.render(report);
+      };
+
+      this.render(report);
+    });
+  }
+
+  /**
+   * Renders the current issues of a report
+   * @param {RosterReport} report - Report to render
+   */
+  static render(report) {
+    const issues = report.issues;
+    const players = report.activeEntries.filter(entry => entry.row[1]?.trim()).length;
+    const hasInvalidMoves = issues.some(issue => issue.type === 'invalid-move');
+
+    this.container().innerHTML = `
+      <div class="validation-report">
+        <h3>Roster check: ${issues.length === 0 ? "no issues left" : `${issues.length} issue(s) found`}</h3>
+        <p>${players} player(s) will take part.</p>
+        <ul>
+          ${issues.map(issue => `
+            <li class="validation-issue ${issue.type}">
+              <span>${escapeHtml(issue.message)}</span>
+              <span class="validation-actions">
+                ${issue.actions.map(action => `
+                  <button data-issue="${escapeHtml(issue.id)}" data-action="${action}">${this.actionLabels[action]}</button>
+                `).join("")}
+              </span>
+            </li>
+          `).join("")}
+        </ul>
+        <div class="validation-controls">
+          ${hasInvalidMoves ? `<button data-control="forfeit-all">Treat all invalid moves as forfeits</button>` : ""}
+          <button data-control="cancel">Cancel</button>
+          <button data-control="start" class="primary">Start tournament</button>
+        </div>
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,333 @@
+/**
+ * Pre-flight roster validation
+ * Collects everything that would otherwise be dropped or mis-scored silently
+ * (invalid moves, blank or duplicate names, rows with unreadable timestamps,
+ * short move lists) and lets the organiser fix each issue before the
+ * tournament starts.
+ */
+import { CONFIG } from './config.js';
+import { normalizeCell } from './sources.js';
+import { parseTimestamp } from './submission-window.js';
+
+/**
+ * Converts a zero-based column index to a sheet column letter
+ * @param {number} index - Column index
+ * @returns {string} Column letter, e.g. "C"
+ */
+export function columnLetter(index) {
+  let letter = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Thrown when the roster cannot make a tournament, e.g. too few players
+ */
+export class RosterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RosterError';
+  }
+}
+
+/**
+ * Editable view of the roster rows plus the issues found in them
+ */
+export class RosterReport {
+  /**
+   * @param {Object} options
+   * @param {Array<string[]>} options.rows - Rows that passed the date filter
+   * @param {Array<{row: string[], reason: string}>} [options.skipped] - Rows the date filter skipped as unreadable
+   * @param {Array<string[]>} [options.allRows] - Every row the source returned, used for row numbers
+   * @param {RuleSet} options.ruleSet - Rule set the moves are checked against
+   * @param {number} [options.firstRowNumber=2] - Sheet row number of the first data row
+   * @param {function(string[]): ?{label: string, rowNumber: number}} [options.originOf] - Source sheet and row of a row, see DataSource.originOf
+   * @param {function(string[]): ?{id: ?string, team: ?string}} [options.detailsOf] - Unique ID and team of a row, see ColumnMapping.detailsOf
+   * @param {function(string): Date} [options.readTimestamp=parseTimestamp] - Reads a timestamp cell, used to tell the latest of duplicate submissions
+   * @param {boolean} [options.keepCase=false] - Keep renamed players' names as typed instead of lowercasing them
+   */
+  constructor({ rows, skipped = [], allRows = rows, ruleSet, firstRowNumber = 2, originOf = () => null, detailsOf = () => null, readTimestamp = parseTimestamp, keepCase = false }) {
+    const rowNumber = row => allRows.indexOf(row) + firstRowNumber;
+    const entry = row => ({
+      rowNumber: rowNumber(row),
+      origin: originOf(row),
+      id: detailsOf(row)?.id || null,
+      team: detailsOf(row)?.team || null,
+      row: [...row]
+    });
+    this.ruleSet = ruleSet;
+    this.keepCase = keepCase;
+    this.readTimestamp = readTimestamp;
+    this.entries = rows.map(row => ({ ...entry(row), excluded: false }));
+    this.skipped = skipped.map(({ row, reason }) => ({ ...entry(row), reason, included: false }));
+    this.dismissed = new Set();
+  }
+
+  /**
+   * Where an entry sits: its sheet row, or its source and row when sources were merged
+   * @param {Object} entry - Roster entry
+   * @returns {string} e.g. "Row 4" or "Google Sheet "Section B" row 4"
+   */
+  static locate(entry) {
+    return entry.origin ? `${entry.origin.label} row ${entry.origin.rowNumber}` : `Row ${entry.rowNumber}`;
+  }
+
+  /**
+   * Spreadsheet reference of a cell
+   * @param {Object} entry - Roster entry
+   * @param {number} column - Zero-based column
+   * @returns {string} e.g. "Cell C4" or "Google Sheet "Section B" cell C4"
+   */
+  static cell(entry, column) {
+    const reference = `${columnLetter(column)}${entry.origin ? entry.origin.rowNumber : entry.rowNumber}`;
+    return entry.origin ? `${entry.origin.label} cell ${reference}` : `Cell ${reference}`;
+  }
+
+  /**
+   * Entries that will take part, in sheet order
+   * @returns {Array<Object>}
+   */
+  get activeEntries() {
+    return [
+      ...this.entries,
+      ...this.skipped.filter(skipped => skipped.included)
+    ].filter(entry => !entry.excluded).sort((a, b) => a.rowNumber - b.rowNumber);
+  }
+
+  /**
+   * Finds the issues in the current state of the roster
+   * @returns {Array<Object>} Issues with an id, type, message, affected entry and available actions
+   */
+  get issues() {
+    const issues = [];
+    const active = this.activeEntries;
+
+    for (const skipped of this.skipped.filter(entry => !entry.included)) {
+      const id = `timestamp-${skipped.rowNumber}`;
+      if (this.dismissed.has(id)) continue;
+      issues.push({
+        id,
+        type: 'timestamp',
+        entry: skipped,
+        message: `${RosterReport.locate(skipped)} (${skipped.row[1] || "no name"}) was skipped: ${skipped.reason}`,
+        actions: ['include', 'dismiss']
+      });
+    }
+
+    for (const entry of active.filter(entry => !entry.row[1]?.trim())) {
+      issues.push({
+        id: `blank-${entry.rowNumber}`,
+        type: 'blank-name',
+        entry,
+        message: `${RosterReport.locate(entry)} has no player name and will be left out`,
+        actions: ['rename', 'exclude']
+      });
+    }
+
+    // The same person is recognised by unique ID when there is one, by name otherwise
+    const byPlayer = new Map();
+    for (const entry of active.filter(entry => entry.row[1]?.trim())) {
+      const key = entry.id ? `id:${entry.id}` : `name:${normalizeCell(entry.row[1])}`;
+      byPlayer.set(key, [...(byPlayer.get(key) || []), entry]);
+    }
+    for (const [key, entries] of byPlayer) {
+      if (entries.length < 2) continue;
+      const name = entries[0].row[1].trim();
+      issues.push({
+        id: `duplicate-${key}`,
+        type: 'duplicate',
+        entries,
+        name,
+        message: entries.some(entry => entry.origin)
+          ? `"${name}" appears on ${entries.map(RosterReport.locate).join(", ")}`
+          : `"${name}" appears on rows ${entries.map(entry => entry.rowNumber).join(", ")}`,
+        actions: ['merge', 'rename-all']
+      });
+    }
+
+    // Different people under one name would share a leaderboard row and a rating, so they need telling apart
+    const byName = new Map();
+    for (const entries of byPlayer.values()) {
+      const name = normalizeCell(entries[0].row[1]);
+      byName.set(name, [...(byName.get(name) || []), entries]);
+    }
+    for (const [name, groups] of byName) {
+      if (groups.length < 2) continue;
+      const entries = groups.map(group => group[0]);
+      const shown = entries[0].row[1].trim();
+      issues.push({
+        id: `name-clash-${name}`,
+        type: 'name-clash',
+        entries,
+        groups,
+        name: shown,
+        message: `${groups.length} different players are called "${shown}": ${entries.map(RosterReport.locate).join(", ")}`,
+        actions: ['rename-all']
+      });
+    }
+
+    for (const entry of active) {
+      entry.row.slice(2).forEach((cell, offset) => {
+        const column = offset + 2;
+        if (!cell || cell === CONFIG.FORFEIT_MOVE || this.ruleSet.isValid(this.ruleSet.normalize(cell))) return;
+
+        const id = `move-${entry.rowNumber}-${column}`;
+        if (this.dismissed.has(id)) return;
+        issues.push({
+          id,
+          type: 'invalid-move',
+          entry,
+          column,
+          message: `${RosterReport.cell(entry, column)} (${entry.row[1] || "no name"}): "${cell}" is not a ${this.ruleSet.name} move and would score as a tie`,
+          actions: ['forfeit', 'exclude', 'dismiss']
+        });
+      });
+    }
+
+    const moveCounts = new Map(active.map(entry => [entry, entry.row.slice(2).filter(cell => cell).length]));
+    const mostMoves = Math.max(0, ...moveCounts.values());
+    for (const entry of active) {
+      const id = `short-${entry.rowNumber}`;
+      if (moveCounts.get(entry) >= mostMoves || this.dismissed.has(id)) continue;
+      issues.push({
+        id,
+        type: 'short',
+        entry,
+        message: `${entry.row[1] || RosterReport.locate(entry)} submitted ${moveCounts.get(entry)} move(s), others submitted up to ${mostMoves}`,
+        actions: ['exclude', 'dismiss']
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Applies an action to an issue
+   * @param {Object} issue - Issue from `issues`
+   * @param {string} action - One of the issue's actions
+   * @param {string} [value] - New name for 'rename'
+   */
+  apply(issue, action, value) {
+    switch (action) {
+      case 'include':
+        issue.entry.included = true;
+        break;
+      case 'exclude':
+        issue.entry.excluded = true;
+        break;
+      case 'rename':
+        issue.entry.row[1] = this.keepCase ? value.trim() : value.trim().toLowerCase();
+        break;
+      case 'forfeit':
+        issue.entry.row[issue.column] = CONFIG.FORFEIT_MOVE;
+        break;
+      case 'merge':
+        this.mergeDuplicates(issue.entries);
+        break;
+      case 'rename-all': {
+        // A name clash renames every submission of each player after the first
+        const taken = new Set(this.activeEntries.map(entry => normalizeCell(entry.row[1] || "")));
+        (issue.groups || issue.entries.map(entry => [entry])).forEach((group, index) => {
+          if (index === 0) return;
+          const name = RosterReport.numberedName(issue.name, index + 1, taken);
+          group.forEach(entry => entry.row[1] = name);
+        });
+        break;
+      }
+      case 'dismiss':
+        this.dismissed.add(issue.id);
+        break;
+      default:
+        throw new Error(`Unknown action: ${action}`);
+    }
+  }
+
+  /**
+   * Numbers a shared name, skipping numbers an entrant already goes by
+   * @param {string} name - Shared name
+   * @param {number} number - Number to try first
+   * @param {Set<string>} taken - Normalised names in use, the new name is added to it
+   * @returns {string} e.g. "alex (2)", or "alex (3)" when someone entered as "alex (2)"
+   */
+  static numberedName(name, number, taken) {
+    while (taken.has(normalizeCell(`${name} (${number})`))) number++;
+    taken.add(normalizeCell(`${name} (${number})`));
+    return `${name} (${number})`;
+  }
+
+  /**
+   * Treats every invalid move in the roster as a forfeited round
+   */
+  forfeitAllInvalidMoves() {
+    this.issues
+      .filter(issue => issue.type === 'invalid-move')
+      .forEach(issue => this.apply(issue, 'forfeit'));
+  }
+
+  /**
+   * Resolves every duplicated name the same way
+   * @param {'latest'|'earliest'|'rename'} policy - Keep the latest or earliest submission by timestamp, or keep all under numbered names
+   */
+  resolveDuplicates(policy) {
+    for (const issue of this.issues.filter(issue => issue.type === 'duplicate')) {
+      if (policy === 'rename') {
+        this.apply(issue, 'rename-all');
+      } else {
+        this.mergeDuplicates(issue.entries, policy);
+      }
+    }
+  }
+
+  /**
+   * Numbers the names of different players who share one, so each keeps
+   * their own leaderboard row and rating
+   */
+  resolveNameClashes() {
+    for (const issue of this.issues.filter(issue => issue.type === 'name-clash')) {
+      this.apply(issue, 'rename-all');
+    }
+  }
+
+  /**
+   * Keeps one submission of a duplicated name and excludes the rest
+   * @param {Array<Object>} entries - Entries sharing a name
+   * @param {'latest'|'earliest'} [keep='latest'] - Which submission to keep, by timestamp
+   */
+  mergeDuplicates(entries, keep = 'latest') {
+    // Unreadable timestamps never win
+    const submittedAt = entry => {
+      try {
+        return this.readTimestamp(entry.row[0]).getTime();
+      } catch (error) {
+        return keep === 'latest' ? -Infinity : Infinity;
+      }
+    };
+    const kept = entries.reduce((best, entry) => {
+      if (keep === 'earliest') return submittedAt(entry) < submittedAt(best) ? entry : best;
+      return submittedAt(entry) >= submittedAt(best) ? entry : best;
+    });
+    entries.forEach(entry => {
+      if (entry !== kept) entry.excluded = true;
+    });
+  }
+
+  /**
+   * Source, unique ID and team of each remaining entrant
+   * @returns {Map<string, {source: ?string, id: ?string, team: ?string}>} Keyed by player name
+   */
+  entrantDetails() {
+    return new Map(this.activeEntries
+      .filter(entry => entry.row[1]?.trim())
+      .map(entry => [entry.row[1].trim(), { source: entry.origin?.label || null, id: entry.id, team: entry.team }]));
+  }
+
+  /**
+   * Rows to build the players from once the issues have been handled
+   * @returns {Array<string[]>}
+   */
+  finalRows() {
+    return this.activeEntries.map(entry => entry.row);
+  }
+}
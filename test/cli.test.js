@@ -0,0 +1,203 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { run, parseOptions, formatTable, EXIT_CODES, UsageError } from '../cli.js';
+
+/**
+ * Collects what a run writes to a stream
+ */
+function capture() {
+  return { text: "", write(chunk) { this.text += chunk; } };
+}
+
+async function runCli(args) {
+  const stdout = capture();
+  const stderr = capture();
+  const code = await run(args, { stdout, stderr });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe('parseOptions', () => {
+  test('builds the tournament settings', () => {
+    const { rosterPath, settings } = parseOptions([
+      "roster.csv", "--format", "swiss", "--swiss-rounds", "2", "--points", "2/1/0",
+      "--tiebreaks", "points,buchholz", "--tie-resolution", "playoff", "--seed", "42"
+    ]);
+    assert.equal(rosterPath, "roster.csv");
+    assert.equal(settings.format.name, "Swiss");
+    assert.equal(settings.format.requestedRounds, 2);
+    assert.deepEqual(settings.standings.points, { win: 2, tie: 1, loss: 0 });
+    assert.deepEqual(settings.standings.tiebreaks, ['points', 'buchholz']);
+    assert.equal(settings.tieResolution, 'playoff');
+    assert.equal(settings.seed, 42);
+    assert.equal(settings.instant, true);
+  });
+
+  test('reads the submission window in the given time zone', () => {
+    const { settings } = parseOptions(["roster.csv", "--start", "2025-03-01 9:00 AM", "--end", "2025-03-01", "--time-zone", "UTC"]);
+    assert.equal(settings.submissionWindow.start.toISOString(), "2025-03-01T09:00:00.000Z");
+    assert.equal(settings.submissionWindow.end.toISOString(), "2025-03-02T00:00:00.000Z");
+  });
+
+  test('rejects unknown and invalid options', () => {
+    for (const args of [
+      [],
+      ["a.csv", "b.csv"],
+      ["roster.csv", "--colour", "red"],
+      ["roster.csv", "--format", "ladder"],
+      ["roster.csv", "--tiebreaks", "points,luck"],
+      ["roster.csv", "--points", "3-1-0"],
+      ["roster.csv", "--start", "03/01/2025"],
+      ["roster.csv", "--time-zone", "Mars/Olympus"],
+      ["roster.csv", "--start", "2025-03-02", "--end", "2025-03-01"],
+      ["roster.csv", "--rounds", "0"]
+    ]) {
+      assert.throws(() => parseOptions(args), UsageError, args.join(" "));
+    }
+  });
+});
+
+describe('formatTable', () => {
+  test('pads text left and numbers right', () => {
+    assert.equal(formatTable(["Player", "W"], [["Ann", 10], ["Bob", 2]]), [
+      "Player   W",
+      "------  --",
+      "Ann     10",
+      "Bob      2"
+    ].join("\n"));
+  });
+});
+
+describe('run', () => {
+  let directory;
+  const roster = [
+    "Timestamp,Name,R1,R2,R3",
+    "1/2/2025 10:00:00,Ann,rock,paper,scissors",
+    "1/2/2025 10:00:00,Bob,rock,rock,rock",
+    "1/3/2025 10:00:00,Cy,paper,paper,paper",
+    "1/4/2025 10:00:00,Di,scissors,rock,paper"
+  ].join("\n");
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "rps-cli-"));
+    await writeFile(join(directory, "roster.csv"), roster);
+    await writeFile(join(directory, "typo.csv"), roster.replace("scissors,rock,paper", "scissors,rock,banana"));
+    await writeFile(join(directory, "namesakes.csv"), [
+      "Timestamp,Name,Email,R1,R2",
+      "1/2/2025 10:00:00,Alex,alex.b@example.org,rock,paper",
+      "1/2/2025 10:05:00,Alex,alex.k@example.org,paper,paper",
+      "1/2/2025 10:10:00,Bo,bo@example.org,scissors,rock"
+    ].join("\n"));
+    await writeFile(join(directory, "resubmitted.csv"), [
+      "Timestamp,Name,R1,R2",
+      "1/2/2025 10:00:00,Ann,rock,rock",
+      "1/2/2025 10:05:00,ann,paper,paper",
+      "1/2/2025 10:10:00,Cy,rock,rock"
+    ].join("\n"));
+    await writeFile(join(directory, "players.json"), JSON.stringify([
+      { Timestamp: "1/2/2025 10:00:00", Name: "Ann", R1: "rock", R2: "paper" },
+      { R2: "rock", Name: "Bob", R1: "paper", Timestamp: "1/2/2025 10:00:00" },
+      { Name: "Cy", R1: "scissors", Timestamp: "1/2/2025 10:00:00" }
+    ]));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('prints the standings and the champion', async () => {
+    const { code, stdout } = await runCli([join(directory, "roster.csv")]);
+    assert.equal(code, EXIT_CODES.OK);
+    assert.match(stdout, /Round Robin · 4 players/);
+    assert.match(stdout, /^T1\s+ann\s+1\s+0\s+2/m);
+    assert.match(stdout, /Co-Champions: ann & cy/);
+  });
+
+  test('reads JSON player objects whatever their key order', async () => {
+    const file = join(directory, "players.log.json");
+    const { code } = await runCli([join(directory, "players.json"), "--quiet", "--log", file]);
+    assert.equal(code, EXIT_CODES.OK);
+
+    const { roster } = JSON.parse(await readFile(file, "utf8"));
+    assert.deepEqual(roster, [
+      { name: "ann", moves: ['r', 'p'] },
+      { name: "bob", moves: ['p', 'r'] },
+      { name: "cy", moves: ['s'] }
+    ]);
+  });
+
+  test('writes the requested result files', async () => {
+    const files = ["results.json", "standings.csv", "log.json"].map(name => join(directory, name));
+    const { code } = await runCli([join(directory, "roster.csv"), "--quiet", "--json", files[0], "--csv", files[1], "--log", files[2]]);
+    assert.equal(code, EXIT_CODES.OK);
+
+    const results = JSON.parse(await readFile(files[0], "utf8"));
+    assert.equal(results.standings.length, 4);
+    assert.match(await readFile(files[1], "utf8"), /^Rank,Player,Points/);
+    const log = JSON.parse(await readFile(files[2], "utf8"));
+    assert.equal(log.matches.length, 6);
+    assert.equal(log.matches[0].rounds.length, 3);
+  });
+
+  test('plays only the submissions inside the window', async () => {
+    const { code, stdout } = await runCli([join(directory, "roster.csv"), "--end", "2025-01-03", "--time-zone", "UTC"]);
+    assert.equal(code, EXIT_CODES.OK);
+    assert.match(stdout, /3 players/);
+    assert.doesNotMatch(stdout, /Di/);
+  });
+
+  test('fails validation when fewer than two players remain', async () => {
+    const { code, stderr } = await runCli([join(directory, "roster.csv"), "--end", "2025-01-01", "--time-zone", "UTC"]);
+    assert.equal(code, EXIT_CODES.INVALID_ROSTER);
+    assert.match(stderr, /At least 2 players/);
+  });
+
+  test('reports team fixtures without teams as a roster problem', async () => {
+    const { code, stderr } = await runCli([join(directory, "roster.csv"), "--format", "team-fixtures"]);
+    assert.equal(code, EXIT_CODES.INVALID_ROSTER);
+    assert.match(stderr, /at least 2 teams/);
+  });
+
+  test('warns about roster issues, and stops on them with --strict', async () => {
+    const lenient = await runCli([join(directory, "typo.csv"), "--quiet"]);
+    assert.equal(lenient.code, EXIT_CODES.OK);
+    assert.match(lenient.stderr, /warning: .*"banana"/);
+
+    const strict = await runCli([join(directory, "typo.csv"), "--strict"]);
+    assert.equal(strict.code, EXIT_CODES.INVALID_ROSTER);
+    assert.equal(strict.stdout, "");
+  });
+
+  test('flags different players sharing a name, and stops on it with --strict', async () => {
+    const strict = await runCli([join(directory, "namesakes.csv"), "--strict"]);
+    assert.equal(strict.code, EXIT_CODES.INVALID_ROSTER);
+    assert.match(strict.stderr, /error: 2 different players are called "alex"/);
+
+    const lenient = await runCli([join(directory, "namesakes.csv")]);
+    assert.equal(lenient.code, EXIT_CODES.OK);
+    assert.match(lenient.stdout, /· 3 players ·/);
+    assert.match(lenient.stdout, /^\S+\s+alex \(2\)\s/m);
+  });
+
+  test('keeps the latest of duplicate submissions by default', async () => {
+    const { code, stdout } = await runCli([join(directory, "resubmitted.csv")]);
+    assert.equal(code, EXIT_CODES.OK);
+    assert.match(stdout, /· 2 players ·/);
+    assert.match(stdout, /Champion: ann$/m);
+  });
+
+  test('reports a missing roster file', async () => {
+    const { code, stderr } = await runCli([join(directory, "missing.csv")]);
+    assert.equal(code, EXIT_CODES.UNREADABLE);
+    assert.match(stderr, /Could not read/);
+  });
+
+  test('reports invalid options with the usage', async () => {
+    const { code, stderr } = await runCli([join(directory, "roster.csv"), "--format", "ladder"]);
+    assert.equal(code, EXIT_CODES.USAGE);
+    assert.match(stderr, /Usage:/);
+  });
+});
@@ -0,0 +1,264 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Tournament, DataSource, RULE_SETS, CONFIG, TOURNAMENT_FORMATS, MovePolicy } from '../js/engine.js';
+
+/**
+ * Source serving a fixed table, so a run needs neither a sheet nor a file
+ */
+class TableSource extends DataSource {
+  constructor(header, rows) {
+    super();
+    this.header = header;
+    this.rows = rows;
+  }
+
+  get label() {
+    return "Test table";
+  }
+
+  async fetchTable() {
+    return { header: this.header, rows: this.rows };
+  }
+}
+
+/**
+ * Creates a tournament that skips every animation delay
+ */
+function quietTournament() {
+  const tournament = new Tournament();
+  tournament.delay = async () => {};
+  return tournament;
+}
+
+describe('determineWinner', () => {
+  const tournament = new Tournament();
+
+  test('each classic move beats exactly one other', () => {
+    assert.equal(tournament.determineWinner('r', 's'), 1);
+    assert.equal(tournament.determineWinner('s', 'p'), 1);
+    assert.equal(tournament.determineWinner('p', 'r'), 1);
+    assert.equal(tournament.determineWinner('s', 'r'), 2);
+    assert.equal(tournament.determineWinner('r', 'p'), 2);
+    assert.equal(tournament.determineWinner('p', 's'), 2);
+  });
+
+  test('equal moves tie', () => {
+    for (const move of ['r', 'p', 's']) {
+      assert.equal(tournament.determineWinner(move, move), 0);
+    }
+  });
+
+  test('a forfeit loses to any move and ties with another forfeit', () => {
+    assert.equal(tournament.determineWinner(CONFIG.FORFEIT_MOVE, 'r'), 2);
+    assert.equal(tournament.determineWinner('s', CONFIG.FORFEIT_MOVE), 1);
+    assert.equal(tournament.determineWinner(CONFIG.FORFEIT_MOVE, CONFIG.FORFEIT_MOVE), 0);
+  });
+
+  test('follows the selected rule set', () => {
+    const lizardSpock = new Tournament();
+    lizardSpock.ruleSet = RULE_SETS.rpsls;
+    assert.equal(lizardSpock.determineWinner('k', 's'), 1);
+    assert.equal(lizardSpock.determineWinner('l', 'k'), 1);
+    assert.equal(lizardSpock.determineWinner('r', 'l'), 1);
+    assert.equal(lizardSpock.determineWinner('l', 's'), 2);
+  });
+});
+
+describe('getMatchResult', () => {
+  const tournament = new Tournament();
+
+  test('more round wins takes the match', () => {
+    assert.deepEqual(tournament.getMatchResult(2, 1), { player1Result: 'Win', player2Result: 'Loss' });
+    assert.deepEqual(tournament.getMatchResult(0, 3), { player1Result: 'Loss', player2Result: 'Win' });
+  });
+
+  test('equal round wins tie the match', () => {
+    assert.deepEqual(tournament.getMatchResult(1, 1), { player1Result: 'Tie', player2Result: 'Tie' });
+    assert.deepEqual(tournament.getMatchResult(0, 0), { player1Result: 'Tie', player2Result: 'Tie' });
+  });
+});
+
+describe('parsePlayers', () => {
+  const tournament = new Tournament();
+
+  test('reads the name and normalises the moves', () => {
+    const [player] = tournament.parsePlayers([["1/1/2025 10:00:00", "  Ann ", "Rock", "paper", " S "]]);
+    assert.equal(player.name, "Ann");
+    assert.deepEqual(player.moves, ['r', 'p', 's']);
+  });
+
+  test('keeps the place of blank move cells', () => {
+    const [player] = tournament.parsePlayers([["", "Bob", "r", "", "  ", "p", "", ""]]);
+    assert.deepEqual(player.moves, ['r', undefined, undefined, 'p']);
+    assert.equal(player.moveCount, 2);
+  });
+
+  test('drops rows without a name or without moves', () => {
+    const players = tournament.parsePlayers([
+      ["", "", "r", "p"],
+      ["", "Cy", "", ""],
+      ["", "Di", "s"]
+    ]);
+    assert.deepEqual(players.map(player => player.name), ["Di"]);
+  });
+
+  test('accepts the moves of the selected rule set', () => {
+    const lizardSpock = new Tournament();
+    lizardSpock.ruleSet = RULE_SETS.rpsls;
+    const [player] = lizardSpock.parsePlayers([["", "Eve", "lizard", "Spock", "🦎"]]);
+    assert.deepEqual(player.moves, ['l', 'k', 'l']);
+  });
+});
+
+describe('MovePolicy with a skipped round', () => {
+  const [player] = new Tournament().parsePlayers([["", "Bob", "r", "", "p"]]);
+
+  test('forfeits the skipped round without moving later moves forward', () => {
+    for (const type of ['shortest', 'forfeit', 'fixed']) {
+      const policy = new MovePolicy({ type, rounds: 3 });
+      assert.deepEqual([0, 1, 2].map(round => policy.moveFor(player, round)), ['r', CONFIG.FORFEIT_MOVE, 'p']);
+      assert.equal(policy.noteFor(player, 3), "1 missing move(s) forfeited");
+    }
+  });
+
+  test('stops only once the moves have run out under the shortest policy', () => {
+    assert.equal(new MovePolicy().moveFor(player, 3), undefined);
+  });
+
+  test('scores the skipped round as a forfeit in a match', async () => {
+    const tournament = quietTournament();
+    let result;
+    tournament.on('matchEnd', details => result = details.result);
+
+    await tournament.initialize(new TableSource(["Timestamp", "Name", "R1", "R2", "R3"], [
+      ["", "Ann", "rock", "", "rock"],
+      ["", "Bob", "scissors", "scissors", "scissors"]
+    ]), {});
+
+    assert.deepEqual([result.player1Wins, result.player2Wins], [2, 1]);
+    assert.equal(result.rounds[1].move1, CONFIG.FORFEIT_MOVE);
+    const [ann] = tournament.getLeaderboard().filter(entry => entry.name === "ann");
+    assert.equal(ann.opponents[0].rounds, 3);
+    assert.equal(ann.opponents[0].note, "1 missing move(s) forfeited");
+  });
+
+  test('disqualifies an entry with a gap when the round count is required', () => {
+    const policy = new MovePolicy({ type: 'disqualify', rounds: 3 });
+    assert.deepEqual(policy.prepare([player]).disqualified, [player]);
+  });
+});
+
+describe('Swiss pairing', () => {
+  test('gives up in good time when no repeat-free pairing exists', () => {
+    // Two odd groups of 15 who have each met the whole other group: the rest can only pair within a group
+    const names = Array.from({ length: 30 }, (_, index) => `p${index}`);
+    const players = names.map((name, index) => ({
+      name,
+      stats: { opponents: names.filter((_, other) => other % 2 !== index % 2).map(vs => ({ vs })) }
+    }));
+    const swiss = new TOURNAMENT_FORMATS.swiss();
+
+    const started = Date.now();
+    assert.equal(swiss.pair(players, new Map(names.map(name => [name, 0]))), null);
+    assert.ok(Date.now() - started < 5000);
+    assert.equal(swiss.pairInOrder(players).length, 15);
+  });
+});
+
+describe('headless run', () => {
+  const header = ["Timestamp", "Name", "Round 1", "Round 2", "Round 3"];
+  const rows = [
+    ["1/2/2025 10:00:00", "Ann", "rock", "paper", "scissors"],
+    ["1/2/2025 10:00:00", "Bob", "rock", "rock", "rock"],
+    ["1/2/2025 10:00:00", "Cy", "paper", "paper", "paper"],
+    ["1/2/2025 10:00:00", "Di", "scissors", "rock", "paper"]
+  ];
+
+  test('reports the run through events without a page', async () => {
+    const tournament = quietTournament();
+    const seen = [];
+    for (const type of ['matchStart', 'matchEnd', 'standings', 'champion', 'finished', 'error']) {
+      tournament.on(type, details => seen.push({ type, details }));
+    }
+
+    await tournament.initialize(new TableSource(header, rows), {});
+
+    const ofType = type => seen.filter(event => event.type === type);
+    assert.equal(ofType('error').length, 0);
+    assert.equal(ofType('matchStart').length, 6);
+    assert.equal(ofType('matchEnd').length, 6);
+    assert.equal(ofType('finished').length, 1);
+    assert.deepEqual(ofType('champion')[0].details.champions, ["ann", "cy"]);
+
+    const [last] = ofType('standings').slice(-1);
+    assert.deepEqual(last.details.leaderboard.map(entry => entry.name).slice(0, 2), ["ann", "cy"]);
+  });
+
+  test('numbers each match it starts out of the expected total', async () => {
+    const tournament = quietTournament();
+    const counts = [];
+    tournament.on('matchStart', ({ number, total }) => counts.push([number, total]));
+
+    await tournament.initialize(new TableSource(header, rows), {});
+
+    assert.deepEqual(counts, [1, 2, 3, 4, 5, 6].map(number => [number, 6]));
+  });
+
+  test('plays the selected format', async () => {
+    const tournament = quietTournament();
+    let champion;
+    tournament.on('champion', ({ champions }) => champion = champions);
+
+    await tournament.initialize(new TableSource(header, rows), { format: new TOURNAMENT_FORMATS['double-elimination']() });
+
+    assert.deepEqual(champion, ["cy"]);
+  });
+
+  test('marks the bracket champion on the leaderboard even when others have more points', async () => {
+    const tournament = quietTournament();
+    await tournament.initialize(new TableSource(header, rows), { format: new TOURNAMENT_FORMATS['double-elimination']() });
+
+    const leaderboard = tournament.getLeaderboard();
+    assert.deepEqual(leaderboard.filter(entry => entry.champion).map(entry => entry.name), ["cy"]);
+  });
+
+  test('gives fixed bots a move for every round the policy asks for', async () => {
+    const tournament = quietTournament();
+    const botMoves = [];
+    tournament.on('round', ({ player1, player2, move1, move2 }) => {
+      if (player1.bot) botMoves.push(move1);
+      if (player2.bot) botMoves.push(move2);
+    });
+
+    await tournament.initialize(new TableSource(header, rows.slice(0, 2)), {
+      bots: ['random'], botMode: 'fixed', movePolicy: new MovePolicy({ type: 'fixed', rounds: 8 })
+    });
+
+    assert.equal(botMoves.length, 16);
+    assert.ok(!botMoves.includes(CONFIG.FORFEIT_MOVE));
+  });
+
+  test('reports a roster that is too small as an error event', async () => {
+    const tournament = quietTournament();
+    let reported;
+    tournament.on('error', ({ error }) => reported = error);
+
+    await tournament.initialize(new TableSource(header, rows.slice(0, 1)), {});
+
+    assert.match(reported.message, /At least 2 players/);
+  });
+
+  test('unsubscribing stops further events', async () => {
+    const tournament = quietTournament();
+    let count = 0;
+    const unsubscribe = tournament.on('matchEnd', () => {
+      count++;
+      if (count === 2) unsubscribe();
+    });
+
+    await tournament.initialize(new TableSource(header, rows), {});
+
+    assert.equal(count, 2);
+  });
+});
@@ -0,0 +1,50 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ResultsExporter } from '../js/exporter.js';
+
+describe('csvField', () => {
+  test('defuses text that a spreadsheet would run as a formula', () => {
+    for (const text of ["=SUM(A1:A9)", "+cmd", "-2+3", "@here"]) {
+      assert.equal(ResultsExporter.csvField(text), `'${text}`);
+    }
+  });
+
+  test('keeps negative and signed numbers as numbers', () => {
+    assert.equal(ResultsExporter.csvField(-7), "-7");
+    assert.equal(ResultsExporter.csvField("-12"), "-12");
+    assert.equal(ResultsExporter.csvField("+12"), "+12");
+    assert.equal(ResultsExporter.csvField(-0.5), "-0.5");
+  });
+
+  test('quotes fields with commas, quotes or line breaks', () => {
+    assert.equal(ResultsExporter.csvField(`Tom "T", Jr`), `"Tom ""T"", Jr"`);
+  });
+});
+
+describe('ResultsExporter', () => {
+  const exporter = () => new ResultsExporter({
+    title: "Test", date: new Date("2025-03-01"), champion: "ann", championNote: "", settings: {},
+    standings: [{ name: "ann", rank: 1, sharedRank: false, points: 3, wins: 1, losses: 0, ties: 0, roundWins: 2, roundLosses: 1, roundTies: 0, rating: 1516, ratingChange: "+16", opponents: [] },
+      { name: "bo", rank: 2, sharedRank: false, points: 0, wins: 0, losses: 1, ties: 0, roundWins: 1, roundLosses: 2, roundTies: 0, rating: 1484, ratingChange: "-16", opponents: [] }],
+    bracket: null,
+    ratingLabel: "Elo"
+  });
+
+  test('exports each rating and its change with the standings', () => {
+    const [header, , second] = exporter().toStandingsCSV().split("\r\n");
+    assert.match(header, /,Elo,Rating Change$/);
+    assert.match(second, /,1484,-16$/);
+  });
+
+  test('reports a results card the browser could not draw', async () => {
+    const card = exporter();
+    card.drawCard = () => {};
+    globalThis.document = { createElement: () => ({ toBlob: callback => callback(null) }) };
+    try {
+      await assert.rejects(card.export('png'), /could not be drawn/);
+    } finally {
+      delete globalThis.document;
+    }
+  });
+});
@@ -0,0 +1,57 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TournamentHistory, SeasonStandings } from '../js/history.js';
+import { Tournament, DataSource, TOURNAMENT_FORMATS } from '../js/engine.js';
+
+/**
+ * Source serving a fixed table, so a run needs neither a sheet nor a file
+ */
+class TableSource extends DataSource {
+  constructor(rows) {
+    super();
+    this.rows = rows;
+  }
+
+  async fetchTable() {
+    return { header: ["Timestamp", "Name", "R1", "R2", "R3"], rows: this.rows };
+  }
+}
+
+function standing(name, rank, points) {
+  return {
+    name, rank, sharedRank: false, points, wins: 0, losses: 0, ties: 0,
+    roundWins: 0, roundLosses: 0, roundTies: 0
+  };
+}
+
+const titles = records => Object.fromEntries(new SeasonStandings(records).entries.map(entry => [entry.name, entry.titles]));
+
+describe('season titles', () => {
+  test('go to the champion of each event, not the points leader', () => {
+    const knockout = { champion: "Bo", standings: [standing("Ann", 1, 9), standing("Bo", 2, 6)] };
+    assert.deepEqual(titles([knockout]), { ann: 0, bo: 1 });
+  });
+
+  test('go to every player sharing first place when an event has no champion', () => {
+    const shared = { champion: null, standings: [standing("Ann", 1, 6), standing("Bo", 1, 6), standing("Cy", 3, 0)] };
+    assert.deepEqual(titles([shared]), { ann: 1, bo: 1, cy: 0 });
+  });
+});
+
+describe('recordFor', () => {
+  test('keeps the champion, live and bot flags of each standing', async () => {
+    const tournament = new Tournament();
+    tournament.delay = async () => {};
+    await tournament.initialize(new TableSource([
+      ["", "Ann", "rock", "paper", "scissors"],
+      ["", "Bob", "rock", "rock", "rock"],
+      ["", "Cy", "paper", "paper", "paper"]
+    ]), { format: new TOURNAMENT_FORMATS['double-elimination'](), bots: ['constant'] });
+
+    const { champion, standings } = TournamentHistory.recordFor(tournament, "Test");
+    assert.deepEqual(standings.filter(entry => entry.champion).map(entry => entry.name), [champion]);
+    assert.deepEqual(standings.filter(entry => entry.bot).map(entry => entry.bot), ["Constant"]);
+    assert.ok(standings.every(entry => entry.live === false));
+  });
+});
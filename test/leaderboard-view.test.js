@@ -0,0 +1,162 @@
+import { test, describe, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { LeaderboardView } from '../js/leaderboard-view.js';
+
+let document;
+
+before(() => {
+  document = new JSDOM(`<div id="sheetData"></div>`).window.document;
+  globalThis.document = document;
+});
+
+beforeEach(() => LeaderboardView.clear());
+
+function entry(name, rank, overrides = {}) {
+  return {
+    name, rank, sharedRank: false, wins: 0, losses: 0, ties: 0,
+    roundWins: 0, roundLosses: 0, roundTies: 0, points: 0, live: false, bot: null,
+    opponents: [], ...overrides
+  };
+}
+
+const body = () => document.querySelector("#sheetData tbody");
+const mainRows = () => [...body().querySelectorAll(":scope > tr.leaderboard-row")];
+const rowOf = name => mainRows().find(row => row.querySelector("td.expandable")?.firstChild.textContent === name);
+
+describe('incremental updates', () => {
+  test('leaves unchanged rows untouched', () => {
+    LeaderboardView.render([entry("Ann", 1, { wins: 1 }), entry("Bo", 2)]);
+    const annCells = [...rowOf("Ann").children];
+    const bo = rowOf("Bo");
+
+    LeaderboardView.render([entry("Ann", 1, { wins: 1 }), entry("Bo", 2, { losses: 1 })]);
+    assert.deepEqual([...rowOf("Ann").children], annCells);
+    assert.equal(rowOf("Bo"), bo);
+    assert.equal(bo.children[3].textContent, "1");
+  });
+
+  test('moves the same rows when the order changes', () => {
+    LeaderboardView.render([entry("Ann", 1), entry("Bo", 2), entry("Cy", 3)]);
+    const rows = Object.fromEntries(["Ann", "Bo", "Cy"].map(name => [name, rowOf(name)]));
+
+    LeaderboardView.render([entry("Cy", 1, { wins: 2 }), entry("Ann", 2), entry("Bo", 3)]);
+    assert.deepEqual(mainRows(), [rows.Cy, rows.Ann, rows.Bo]);
+    // Each player's details row stays right below their main row
+    for (const row of mainRows()) {
+      assert.equal(row.nextElementSibling.id, row.querySelector("td.expandable").getAttribute("aria-controls"));
+    }
+  });
+
+  test('drops players who left and rebuilds when the columns change', () => {
+    LeaderboardView.render([entry("Ann", 1), entry("Bo", 2)]);
+    LeaderboardView.render([entry("Ann", 1)]);
+    assert.equal(body().children.length, 2);
+
+    const table = document.querySelector("#sheetData table");
+    LeaderboardView.render([entry("Ann", 1, { points: 3 })], [{ key: 'points', label: "Pts" }]);
+    assert.notEqual(document.querySelector("#sheetData table"), table);
+    assert.equal(rowOf("Ann").lastChild.textContent, "3");
+  });
+
+  test('highlights the champion, who need not be ranked first', () => {
+    LeaderboardView.render([entry("Ann", 1), entry("Bo", 2, { champion: true })]);
+    assert.ok(!rowOf("Ann").classList.contains("highlight"));
+    assert.ok(rowOf("Bo").classList.contains("highlight"));
+  });
+
+  test('draws only the latest standings of a frame', () => {
+    const frames = [];
+    globalThis.requestAnimationFrame = callback => frames.push(callback);
+    globalThis.cancelAnimationFrame = () => {};
+    try {
+      LeaderboardView.update([entry("Ann", 1)]);
+      LeaderboardView.update([entry("Ann", 1, { wins: 5 })]);
+      assert.equal(frames.length, 1);
+      assert.equal(document.querySelector("#sheetData table"), null);
+
+      frames[0]();
+      assert.equal(rowOf("Ann").children[2].textContent, "5");
+    } finally {
+      delete globalThis.requestAnimationFrame;
+      delete globalThis.cancelAnimationFrame;
+    }
+  });
+});
+
+describe('expanded players', () => {
+  const match = result => ({ vs: "Bo", result, roundWins: 2, roundLosses: 1, roundTies: 0 });
+
+  test('builds the match breakdown only once it is opened', () => {
+    LeaderboardView.render([entry("Ann", 1, { opponents: [match("Win")] })]);
+    const toggle = rowOf("Ann").querySelector("td.expandable");
+    const details = document.getElementById(toggle.getAttribute("aria-controls"));
+    assert.equal(details.children.length, 0);
+
+    toggle.click();
+    assert.equal(details.style.display, "table-row");
+    assert.match(details.textContent, /Matches Played:/);
+  });
+
+  test('stay open with fresh results across updates and reorders', () => {
+    LeaderboardView.render([entry("Ann", 1, { opponents: [match("Win")] }), entry("Bo", 2)]);
+    rowOf("Ann").querySelector("td.expandable").click();
+    const details = rowOf("Ann").nextElementSibling;
+    details.querySelector(".dropdown [aria-controls]").click();
+
+    LeaderboardView.render([entry("Bo", 1, { wins: 2 }), entry("Ann", 2, { opponents: [match("Win"), match("Loss")] })]);
+    assert.equal(rowOf("Ann").nextElementSibling, details);
+    assert.equal(details.style.display, "table-row");
+    assert.equal(rowOf("Ann").querySelector("td.expandable").getAttribute("aria-expanded"), "true");
+    assert.equal(details.querySelectorAll(".dropdown").length, 2);
+    assert.ok(details.querySelector(".dropdown-content").classList.contains("show-dropdown"));
+  });
+
+  test('are forgotten when the leaderboard is cleared', () => {
+    LeaderboardView.render([entry("Ann", 1)]);
+    rowOf("Ann").querySelector("td.expandable").click();
+    LeaderboardView.clear();
+
+    LeaderboardView.render([entry("Ann", 1)]);
+    assert.equal(rowOf("Ann").nextElementSibling.style.display, "none");
+  });
+});
+
+describe('rows out of view', () => {
+  let observer;
+
+  beforeEach(() => {
+    globalThis.IntersectionObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+        this.observed = new Set();
+        observer = this;
+      }
+      observe(target) { this.observed.add(target); }
+      unobserve(target) { this.observed.delete(target); }
+      disconnect() { this.observed.clear(); }
+      show(targets) { this.callback(targets.map(target => ({ target, isIntersecting: true }))); }
+    };
+  });
+
+  afterEach(() => {
+    LeaderboardView.clear();
+    delete globalThis.IntersectionObserver;
+  });
+
+  test('stay placeholders until they come into view', () => {
+    LeaderboardView.render([entry("Ann", 1), entry("Bo", 2, { wins: 1 })]);
+    const [first, second] = body().querySelectorAll(":scope > tr.leaderboard-row");
+    assert.ok(second.classList.contains("leaderboard-pending"));
+    assert.equal(second.querySelector("td.expandable"), null);
+
+    // Updates while out of view cost nothing but the latest entry is shown
+    LeaderboardView.render([entry("Ann", 1), entry("Bo", 2, { wins: 4 })]);
+    observer.show([second]);
+    assert.ok(!second.classList.contains("leaderboard-pending"));
+    assert.equal(second.children[2].textContent, "4");
+    assert.ok(!observer.observed.has(second));
+    assert.ok(observer.observed.has(first));
+  });
+});
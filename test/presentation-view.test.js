@@ -0,0 +1,210 @@
+import { test, describe, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+import { Tournament } from '../js/engine.js';
+import { PresentationView } from '../js/presentation-view.js';
+import { SoundEffects } from '../js/sound-effects.js';
+
+const HOSTILE_NAME = `<img src=x onerror="window.pwned = true">`;
+
+let document;
+let tournament;
+
+before(async () => {
+  const dom = new JSDOM(await readFile(new URL('../index.html', import.meta.url), 'utf8'), { url: "http://localhost/" });
+  document = dom.window.document;
+  globalThis.document = document;
+  globalThis.localStorage = dom.window.localStorage;
+  tournament = new Tournament();
+  PresentationView.connect(tournament);
+});
+
+beforeEach(() => {
+  PresentationView.exit();
+  PresentationView.clear();
+});
+
+const player = name => ({ name });
+const screen = () => document.getElementById("presentation");
+
+function entry(name, rank, wins) {
+  return { name, rank, sharedRank: false, wins, losses: 0, ties: 0, points: wins * 3 };
+}
+
+/**
+ * Audio context that records the notes started instead of playing them
+ */
+class RecordingAudioContext {
+  static notes = [];
+  state = 'running';
+  currentTime = 0;
+  destination = {};
+
+  createOscillator() {
+    return {
+      frequency: {},
+      connect: target => target,
+      start: () => RecordingAudioContext.notes.push(1),
+      stop: () => {}
+    };
+  }
+
+  createGain() {
+    return {
+      gain: { setValueAtTime() {}, exponentialRampToValueAtTime() {} },
+      connect: target => target
+    };
+  }
+}
+
+describe('stage', () => {
+  test('counts the matches and keeps moves hidden until the round is played', () => {
+    tournament.emit('matchStart', { player1: player(HOSTILE_NAME), player2: player("Bo"), number: 3, total: 10, animate: true });
+
+    assert.equal(screen().querySelector(".presentation-count").textContent, "Match 3 of 10");
+    assert.deepEqual([...screen().querySelectorAll(".presentation-name")].map(name => name.textContent), [HOSTILE_NAME, "Bo"]);
+    assert.equal(screen().querySelectorAll("img").length, 0);
+    assert.deepEqual([...screen().querySelectorAll(".presentation-move")].map(move => move.textContent), ["?", "?"]);
+  });
+
+  test('reveals the moves and marks the winner', () => {
+    tournament.emit('matchStart', { player1: player("Ann"), player2: player("Bo"), number: 1, total: 1, animate: true });
+    tournament.emit('round', { player1: player("Ann"), player2: player("Bo"), move1: 'r', move2: 's', winner: "Ann", animate: true });
+
+    const [ann, bo] = screen().querySelectorAll(".presentation-player");
+    assert.ok(ann.classList.contains("winner"));
+    assert.ok(bo.classList.contains("loser"));
+    assert.ok(ann.querySelector(".presentation-move").classList.contains("reveal"));
+    assert.equal(screen().querySelector(".presentation-score").textContent, "1 – 0");
+
+    tournament.emit('round', { player1: player("Ann"), player2: player("Bo"), move1: 'p', move2: 'p', winner: null, animate: true });
+    assert.ok(ann.classList.contains("tie") && bo.classList.contains("tie"));
+    assert.equal(screen().querySelector(".presentation-score").textContent, "1 – 0");
+  });
+
+  test('puts playoff pairs on the stage without a match start', () => {
+    tournament.emit('round', { player1: player("Cy"), player2: player("Di"), move1: 'r', move2: 'p', winner: "Di", animate: true });
+    assert.deepEqual([...screen().querySelectorAll(".presentation-name")].map(name => name.textContent), ["Cy", "Di"]);
+    assert.equal(screen().querySelector(".presentation-score").textContent, "0 – 1");
+  });
+
+  test('shows the match count but no moves during an instant finish', () => {
+    tournament.emit('matchStart', { player1: player("Ann"), player2: player("Bo"), number: 4, total: 9, animate: false });
+    assert.equal(screen().querySelector(".presentation-count").textContent, "Match 4 of 9");
+    assert.ok(screen().querySelector(".presentation-waiting"));
+  });
+});
+
+describe('ticker', () => {
+  test('shows the leaders only, twice over for the scroll', () => {
+    const leaderboard = [HOSTILE_NAME, "Bo", "Cy", "Di", "Ed", "Flo", "Gus"].map((name, index) => entry(name, index + 1, 6 - index));
+    tournament.emit('standings', { leaderboard });
+
+    const leaders = [...screen().querySelectorAll(".presentation-leader")];
+    assert.equal(leaders.length, 10);
+    assert.equal(leaders.filter(leader => leader.getAttribute("aria-hidden") === "true").length, 5);
+    assert.equal(leaders[0].textContent, `1 ${HOSTILE_NAME} 6-0-0 · 18 pts`);
+    assert.equal(screen().querySelectorAll("img").length, 0);
+  });
+
+  test('is only redrawn when the leaders change', () => {
+    const leaderboard = [entry("Ann", 1, 2), entry("Bo", 2, 1)];
+    tournament.emit('standings', { leaderboard });
+    const first = screen().querySelector(".presentation-leader");
+
+    tournament.emit('standings', { leaderboard: leaderboard.map(leader => ({ ...leader })) });
+    assert.equal(screen().querySelector(".presentation-leader"), first);
+
+    tournament.emit('standings', { leaderboard: [entry("Bo", 1, 3), entry("Ann", 2, 2)] });
+    assert.notEqual(screen().querySelector(".presentation-leader"), first);
+  });
+});
+
+describe('celebration', () => {
+  test('announces co-champions and the playoff outcome', () => {
+    tournament.emit('champion', { champions: [HOSTILE_NAME, "Bo"], playoff: { decided: false, rounds: 20 }, teamChampions: ["Reds"] });
+
+    const celebration = screen().querySelector(".presentation-celebration");
+    assert.ok(!celebration.hidden);
+    assert.equal(celebration.querySelector("h2").textContent, "Co-Champions");
+    assert.equal(celebration.querySelector(".presentation-champion").textContent, `${HOSTILE_NAME} & Bo`);
+    assert.match(celebration.textContent, /could not separate them/);
+    assert.match(celebration.querySelector(".presentation-team").textContent, /Team Champion: Reds/);
+    assert.equal(screen().querySelectorAll("img").length, 0);
+
+    celebration.querySelector('[data-presentation="dismiss"]').click();
+    assert.ok(celebration.hidden);
+  });
+
+  test('is cleared for the next run', () => {
+    tournament.emit('champion', { champions: ["Ann"], playoff: null, teamChampions: null });
+    PresentationView.clear();
+    assert.ok(screen().querySelector(".presentation-celebration").hidden);
+  });
+});
+
+describe('presenting', () => {
+  beforeEach(() => {
+    RecordingAudioContext.notes = [];
+    globalThis.AudioContext = RecordingAudioContext;
+    PresentationView.sounds = new SoundEffects();
+    PresentationView.sounds.setMuted(false);
+  });
+
+  afterEach(() => {
+    delete globalThis.AudioContext;
+    localStorage.clear();
+  });
+
+  test('opens over the page and closes again', () => {
+    PresentationView.toggle();
+    assert.ok(!screen().hidden);
+    assert.ok(document.body.classList.contains("presenting"));
+
+    screen().querySelector('[data-presentation="exit"]').click();
+    assert.ok(screen().hidden);
+    assert.ok(!document.body.classList.contains("presenting"));
+  });
+
+  test('plays sounds only while open and not muted', () => {
+    tournament.emit('champion', { champions: ["Ann"], playoff: null, teamChampions: null });
+    assert.equal(RecordingAudioContext.notes.length, 0);
+
+    PresentationView.enter();
+    tournament.emit('champion', { champions: ["Ann"], playoff: null, teamChampions: null });
+    assert.ok(RecordingAudioContext.notes.length > 0);
+
+    const mute = screen().querySelector('[data-presentation="mute"]');
+    mute.click();
+    assert.equal(mute.getAttribute("aria-pressed"), "true");
+    RecordingAudioContext.notes = [];
+    tournament.emit('champion', { champions: ["Ann"], playoff: null, teamChampions: null });
+    assert.equal(RecordingAudioContext.notes.length, 0);
+  });
+
+  test('remembers the mute setting', () => {
+    PresentationView.sounds.setMuted(true);
+    assert.equal(new SoundEffects().muted, true);
+  });
+
+  test('steps aside while a move is asked for', async () => {
+    PresentationView.enter();
+    let answer;
+    const prompt = PresentationView.aside(new Promise(resolve => answer = resolve));
+    assert.ok(screen().classList.contains("presentation-aside"));
+
+    answer('r');
+    assert.equal(await prompt, 'r');
+    assert.ok(!screen().classList.contains("presentation-aside"));
+  });
+
+  test('drops round sounds that come too fast', () => {
+    PresentationView.enter();
+    tournament.emit('round', { player1: player("Ann"), player2: player("Bo"), move1: 'r', move2: 's', winner: "Ann", animate: true });
+    const played = RecordingAudioContext.notes.length;
+    tournament.emit('round', { player1: player("Ann"), player2: player("Bo"), move1: 'r', move2: 's', winner: "Ann", animate: true });
+    assert.equal(RecordingAudioContext.notes.length, played);
+  });
+});
@@ -0,0 +1,261 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+import { Tournament, DataSource, RULE_SETS, TOURNAMENT_FORMATS } from '../js/engine.js';
+import { UI } from '../js/ui.js';
+import { LeaderboardView } from '../js/leaderboard-view.js';
+import { TournamentRenderer } from '../js/tournament-renderer.js';
+import { BracketView } from '../js/bracket-view.js';
+import { ValidationView } from '../js/validation-view.js';
+import { ColumnMappingView } from '../js/column-mapping-view.js';
+import { SubmissionWindowView } from '../js/submission-window-view.js';
+import { ColumnMapping } from '../js/column-mapping.js';
+import { RosterReport } from '../js/validation.js';
+import { escapeHtml } from '../js/dom.js';
+import { LivePlayView } from '../js/live-play-view.js';
+import { RuleSet } from '../js/rulesets.js';
+import { ReplayLog } from '../js/replay-log.js';
+import { ReplayView } from '../js/replay-view.js';
+
+const HOSTILE_NAMES = [
+  `<img src=x onerror="window.pwned = true">`,
+  `'); window.pwned = true; ('`,
+  `"><script>window.pwned = true</script>`,
+  `</td></tr><tr><td colspan="9">Injected row`,
+  `Tom &amp; Jerry`
+];
+
+let document;
+let pageElements;
+
+before(async () => {
+  const dom = new JSDOM(await readFile(new URL('../index.html', import.meta.url), 'utf8'), { url: "http://localhost/" });
+  document = dom.window.document;
+  globalThis.document = document;
+  pageElements = new Set(document.querySelectorAll("*"));
+});
+
+/**
+ * Elements a hostile name could have smuggled in: scripts and inline
+ * handlers, other than those of the page itself
+ */
+function injected(root) {
+  return [...root.querySelectorAll("*")].filter(node => !pageElements.has(node) &&
+    (node.tagName === 'SCRIPT' || [...node.attributes].some(attribute => attribute.name.startsWith("on"))));
+}
+
+function entry(name, overrides = {}) {
+  return {
+    name, rank: 1, sharedRank: false, wins: 1, losses: 0, ties: 0,
+    roundWins: 2, roundLosses: 1, roundTies: 0, points: 3, live: false, bot: null,
+    opponents: [{ vs: HOSTILE_NAMES[0], result: 'Win', roundWins: 2, roundLosses: 1, roundTies: 0, note: HOSTILE_NAMES[2] }],
+    ...overrides
+  };
+}
+
+class TableSource extends DataSource {
+  constructor(header, rows) {
+    super();
+    this.header = header;
+    this.rows = rows;
+  }
+
+  get label() {
+    return `Sheet "${HOSTILE_NAMES[2]}"`;
+  }
+
+  async fetchTable() {
+    return { header: this.header, rows: this.rows };
+  }
+}
+
+describe('leaderboard', () => {
+  test('shows hostile names as text', () => {
+    LeaderboardView.render(HOSTILE_NAMES.map((name, index) => entry(name, { rank: index + 1 })), [{ key: 'points', label: "Pts" }], HOSTILE_NAMES[1]);
+    const container = document.getElementById("sheetData");
+
+    assert.deepEqual(injected(container), []);
+    assert.equal(container.querySelectorAll("img").length, 0);
+    const names = [...container.querySelectorAll("td.expandable")].map(cell => cell.textContent);
+    assert.deepEqual(names, HOSTILE_NAMES);
+    assert.equal(container.querySelector(".leaderboard-caption").textContent, HOSTILE_NAMES[1]);
+    assert.equal(container.querySelectorAll(":scope > table > tbody > tr").length, HOSTILE_NAMES.length * 2);
+  });
+
+  test('uses generated IDs that stay with the player across updates', () => {
+    const [first, second] = HOSTILE_NAMES;
+    LeaderboardView.render([entry(first), entry(second, { rank: 2 })]);
+    const container = document.getElementById("sheetData");
+    const idOf = name => [...container.querySelectorAll("td.expandable")]
+      .find(cell => cell.firstChild.textContent === name).getAttribute("aria-controls");
+
+    const before = [idOf(first), idOf(second)];
+    for (const id of before) assert.match(id, /^details-\d+$/);
+    assert.notEqual(before[0], before[1]);
+
+    LeaderboardView.render([entry(second), entry(first, { rank: 2 })]);
+    assert.deepEqual([idOf(first), idOf(second)], before);
+  });
+
+  test('expands details and match breakdowns through delegated clicks', () => {
+    LeaderboardView.render([entry(HOSTILE_NAMES[1])]);
+    const container = document.getElementById("sheetData");
+    const toggle = container.querySelector("td.expandable");
+    const details = document.getElementById(toggle.getAttribute("aria-controls"));
+
+    toggle.click();
+    assert.equal(details.style.display, "table-row");
+    assert.equal(toggle.getAttribute("aria-expanded"), "true");
+    toggle.click();
+    assert.equal(details.style.display, "none");
+
+    const result = details.querySelector(".dropdown [aria-controls]");
+    result.click();
+    const breakdown = document.getElementById(result.getAttribute("aria-controls"));
+    assert.ok(breakdown.classList.contains("show-dropdown"));
+    assert.match(breakdown.textContent, /Note: "><script>/);
+  });
+
+  test('shows hostile team names as text', () => {
+    UI.updateTeamLeaderboard([{ name: HOSTILE_NAMES[0], rank: 1, members: 2, wins: 1, losses: 0, ties: 0, points: 3 }]);
+    const container = document.getElementById("teamStandings");
+    assert.deepEqual(injected(container), []);
+    assert.equal(container.querySelector("tbody td:nth-child(2)").textContent, HOSTILE_NAMES[0]);
+  });
+});
+
+describe('animation and messages', () => {
+  test('shows hostile names in the round animation as text', () => {
+    UI.showRoundAnimation(HOSTILE_NAMES[0], HOSTILE_NAMES[2], 'r', 's', HOSTILE_NAMES[0], RULE_SETS.rps);
+    const animation = document.getElementById("animation");
+    assert.deepEqual(injected(animation), []);
+    assert.equal(animation.querySelector(".underline").textContent, HOSTILE_NAMES[0]);
+    assert.ok(animation.textContent.includes(HOSTILE_NAMES[2]));
+  });
+
+  test('shows hostile error messages as text', () => {
+    UI.showError(`Unknown player ${HOSTILE_NAMES[0]}`, HOSTILE_NAMES[2]);
+    const container = document.getElementById("sheetData");
+    assert.deepEqual(injected(container), []);
+    assert.equal(container.querySelector(".error").textContent, `Unknown player ${HOSTILE_NAMES[0]}. ${HOSTILE_NAMES[2]}`);
+  });
+
+  test('asks a hostile player for a move without running their name', async () => {
+    const choice = UI.promptMove(HOSTILE_NAMES[0], HOSTILE_NAMES[2], RULE_SETS.rps);
+    const animation = document.getElementById("animation");
+    assert.deepEqual(injected(animation), []);
+    assert.ok(animation.textContent.startsWith(`${HOSTILE_NAMES[0]}, choose your move`));
+
+    animation.querySelector('[data-move="p"]').click();
+    assert.equal(await choice, 'p');
+  });
+
+  test('shows live pickers for hostile names and moves as text', async () => {
+    const key = `"><img src=x onerror="window.pwned = true">`;
+    const ruleSet = new RuleSet({
+      name: "Hostile",
+      moves: [{ key, name: HOSTILE_NAMES[2] }, { key: 'p', name: "Paper" }, { key: 's', name: "Scissors" }],
+      beats: { [key]: ['s'], p: [key], s: ['p'] }
+    });
+    const sides = [{ player: { name: HOSTILE_NAMES[0], live: true } }, { player: { name: HOSTILE_NAMES[1], live: false }, move: 'p' }];
+    const moves = LivePlayView.chooseMoves(sides, { number: 1, score: [0, 0], bestOf: 3 }, ruleSet);
+    const animation = document.getElementById("animation");
+    assert.deepEqual(injected(animation), []);
+    assert.deepEqual([...animation.querySelectorAll(".live-name")].map(name => name.textContent), HOSTILE_NAMES.slice(0, 2));
+
+    const [button] = animation.querySelectorAll("[data-live-move]");
+    assert.equal(button.title, HOSTILE_NAMES[2]);
+    button.click();
+    assert.deepEqual(await moves, [key, 'p']);
+  });
+});
+
+describe('other views', () => {
+  test('escape hostile names in the bracket', () => {
+    const players = HOSTILE_NAMES.slice(0, 2).map(name => ({ name }));
+    BracketView.render({
+      sections: [{ title: "Bracket", rounds: [{ title: "Final", matches: [{ id: 1, player1: players[0], player2: players[1], winner: players[0], note: HOSTILE_NAMES[3] }] }] }]
+    }, new Map(players.map((player, index) => [player, index + 1])));
+
+    const container = document.getElementById("bracket");
+    assert.deepEqual(injected(container), []);
+    assert.deepEqual([...container.querySelectorAll(".bracket-slot")].map(slot => slot.lastChild.textContent), HOSTILE_NAMES.slice(0, 2));
+    assert.equal(container.querySelector(".bracket-note").textContent, HOSTILE_NAMES[3]);
+  });
+
+  test('escape hostile names and cells in the roster check', () => {
+    const rows = [
+      ["1/1/2025 10:00:00", HOSTILE_NAMES[1], "r", `<img src=x onerror="window.pwned = true">`],
+      ["1/1/2025 10:05:00", HOSTILE_NAMES[1], "p", "s"]
+    ];
+    const report = new RosterReport({ rows, ruleSet: RULE_SETS.rps });
+    ValidationView.render(report);
+
+    const container = document.getElementById("validation");
+    assert.deepEqual(injected(container), []);
+    const duplicate = report.issues.find(issue => issue.type === 'duplicate');
+    assert.ok([...container.querySelectorAll("[data-issue]")].some(button => button.dataset.issue === duplicate.id));
+    assert.ok(container.textContent.includes(`"<img src=x onerror="window.pwned = true">"`));
+  });
+
+  test('escape hostile headers in the column mapping', () => {
+    const table = { header: ["Timestamp", HOSTILE_NAMES[2]], rows: [["1/1/2025", HOSTILE_NAMES[0]]] };
+    ColumnMappingView.render(table, ColumnMapping.guess(table.header, table.rows, RULE_SETS.rps), { remember: true }, HOSTILE_NAMES[3]);
+
+    const container = document.getElementById("columnMapping");
+    assert.deepEqual(injected(container), []);
+    assert.ok(container.textContent.includes(HOSTILE_NAMES[2]));
+    assert.equal(container.querySelectorAll("table tbody > tr").length, 2);
+  });
+
+  test('escape hostile fields of an imported replay log', () => {
+    const log = ReplayLog.fromJSON(JSON.stringify({
+      version: ReplayLog.VERSION,
+      settings: { ruleSet: RULE_SETS.rps.toJSON() },
+      matches: [{ number: HOSTILE_NAMES[2], player1: HOSTILE_NAMES[0], player2: "Bo", stage: "", rounds: [{ move1: 'r', move2: 's', winner: 1 }] }]
+    }));
+    ReplayView.show(log);
+
+    const container = document.getElementById("replay");
+    assert.deepEqual(injected(container), []);
+    assert.ok(container.querySelector("option").textContent.includes(`#${HOSTILE_NAMES[2]}`));
+  });
+
+  test('escape hostile messages in the submission window preview', () => {
+    SubmissionWindowView.showMessage(`Invalid time format: ${HOSTILE_NAMES[0]}`);
+    const container = document.getElementById("windowPreview");
+    assert.deepEqual(injected(container), []);
+    assert.equal(container.textContent, `Invalid time format: ${HOSTILE_NAMES[0]}`);
+  });
+
+  test('escapeHtml escapes markup and quotes', () => {
+    assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;");
+    assert.equal(escapeHtml(null), "");
+  });
+});
+
+describe('a run with hostile names', () => {
+  for (const format of ['round-robin', 'single-elimination', 'swiss']) {
+    test(`renders ${format} safely from start to finish`, async () => {
+      const tournament = new Tournament();
+      new TournamentRenderer(tournament);
+      // Nobody is at the screen to answer the page's dialogs
+      tournament.prompts = { ...Tournament.UNATTENDED };
+      const rows = HOSTILE_NAMES.map((name, index) => ["1/1/2025 10:00:00", name, ...["r", "p", "s"].slice(index % 3), "r", "p", "s"].slice(0, 5));
+
+      await tournament.initialize(new TableSource(["Timestamp", "Name", "R1", "R2", "R3"], rows), {
+        format: new TOURNAMENT_FORMATS[format](),
+        tieResolution: 'playoff',
+        instant: true
+      });
+
+      assert.deepEqual(injected(document.body), []);
+      const listed = [...document.querySelectorAll("#sheetData td.expandable")].map(cell => cell.firstChild.textContent);
+      // Names are lowercased unless the column mapping keeps their case
+      assert.deepEqual([...listed].sort(), HOSTILE_NAMES.map(name => name.toLowerCase()).sort());
+      assert.match(document.getElementById("result").textContent, /Champion/);
+    });
+  }
+});
@@ -0,0 +1,72 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseTime, parseTimestamp } from '../js/engine.js';
+
+describe('parseTime', () => {
+  test('keeps 24-hour times, padding the hour', () => {
+    assert.equal(parseTime("14:05"), "14:05");
+    assert.equal(parseTime("9:30"), "09:30");
+    assert.equal(parseTime(" 0:00 "), "00:00");
+  });
+
+  test('converts 12-hour times', () => {
+    assert.equal(parseTime("1:15 PM"), "13:15");
+    assert.equal(parseTime("11:59pm"), "23:59");
+    assert.equal(parseTime("12:00 AM"), "00:00");
+    assert.equal(parseTime("12:00 PM"), "12:00");
+  });
+
+  test('rejects anything else', () => {
+    for (const input of ["24:00", "12:60", "noon", "1230", ""]) {
+      assert.throws(() => parseTime(input), /Invalid time format/, input);
+    }
+  });
+});
+
+describe('parseTimestamp', () => {
+  test('reads form export timestamps month first', () => {
+    assert.equal(parseTimestamp("1/2/2025 10:03:04", { timeZone: 'UTC' }).toISOString(), "2025-01-02T10:03:04.000Z");
+  });
+
+  test('reads day first when asked', () => {
+    assert.equal(parseTimestamp("1/2/2025 10:03:04", { timeZone: 'UTC', dateOrder: 'dmy' }).toISOString(), "2025-02-01T10:03:04.000Z");
+    assert.equal(parseTimestamp("25.12.2025 08:00", { timeZone: 'UTC', dateOrder: 'dmy' }).toISOString(), "2025-12-25T08:00:00.000Z");
+  });
+
+  test('reads 12-hour times and dates without a time', () => {
+    assert.equal(parseTimestamp("3/4/2025 12:30 AM", { timeZone: 'UTC' }).toISOString(), "2025-03-04T00:30:00.000Z");
+    assert.equal(parseTimestamp("3/4/2025 1:30:15 pm", { timeZone: 'UTC' }).toISOString(), "2025-03-04T13:30:15.000Z");
+    assert.equal(parseTimestamp("3/4/2025", { timeZone: 'UTC' }).toISOString(), "2025-03-04T00:00:00.000Z");
+  });
+
+  test('reads gviz date cells, counting months from zero', () => {
+    assert.equal(parseTimestamp("Date(2025,0,5,10,3,0)", { timeZone: 'UTC' }).toISOString(), "2025-01-05T10:03:00.000Z");
+    assert.equal(parseTimestamp("date(2025, 11, 31)", { timeZone: 'UTC' }).toISOString(), "2025-12-31T00:00:00.000Z");
+  });
+
+  test('reads ISO 8601, preferring an explicit offset over the time zone', () => {
+    assert.equal(parseTimestamp("2025-06-01T12:00:00Z", { timeZone: 'Asia/Tokyo' }).toISOString(), "2025-06-01T12:00:00.000Z");
+    assert.equal(parseTimestamp("2025-06-01T12:00:00+02:00").toISOString(), "2025-06-01T10:00:00.000Z");
+    assert.equal(parseTimestamp("2025-06-01 12:00-0530").toISOString(), "2025-06-01T17:30:00.000Z");
+    assert.equal(parseTimestamp("2025-06-01T12:00", { timeZone: 'UTC' }).toISOString(), "2025-06-01T12:00:00.000Z");
+  });
+
+  test('reads wall-clock times in the given time zone', () => {
+    assert.equal(parseTimestamp("1/15/2025 09:00:00", { timeZone: 'America/New_York' }).toISOString(), "2025-01-15T14:00:00.000Z");
+    assert.equal(parseTimestamp("7/15/2025 09:00:00", { timeZone: 'America/New_York' }).toISOString(), "2025-07-15T13:00:00.000Z");
+    assert.equal(parseTimestamp("7/15/2025 09:00:00", { timeZone: 'Asia/Tokyo' }).toISOString(), "2025-07-15T00:00:00.000Z");
+  });
+
+  test('rejects dates that do not exist', () => {
+    assert.throws(() => parseTimestamp("2/30/2025 10:00:00", { timeZone: 'UTC' }), /Invalid date/);
+    assert.throws(() => parseTimestamp("13/1/2025", { timeZone: 'UTC' }), /Invalid date/);
+    assert.throws(() => parseTimestamp("1/1/2025 13:00 PM", { timeZone: 'UTC' }), /Invalid hour/);
+  });
+
+  test('rejects unrecognised formats', () => {
+    for (const input of ["yesterday", "2025/01/02", "", "1-2-2025"]) {
+      assert.throws(() => parseTimestamp(input), /Invalid timestamp format/, input);
+    }
+  });
+});
@@ -0,0 +1,43 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RosterReport } from '../js/validation.js';
+import { RULE_SETS } from '../js/rulesets.js';
+
+describe('RosterReport', () => {
+  const rows = [
+    ["1/2/2025 10:00:00", "alex", "r", "p"],
+    ["1/2/2025 10:05:00", "alex", "p", "p"],
+    ["1/2/2025 10:06:00", "alex", "s", "p"],
+    ["1/2/2025 10:10:00", "bo", "s", "r"]
+  ];
+  const ids = new Map([[rows[0], "a@x"], [rows[1], "k@x"], [rows[2], "k@x"], [rows[3], "b@x"]]);
+  const report = () => new RosterReport({ rows, ruleSet: RULE_SETS.rps, detailsOf: row => ({ id: ids.get(row), team: null }) });
+
+  test('tells apart the same player twice from two players with one name', () => {
+    const issues = report().issues;
+    const duplicate = issues.find(issue => issue.type === 'duplicate');
+    assert.deepEqual(duplicate.entries.map(entry => entry.rowNumber), [3, 4]);
+
+    const clash = issues.find(issue => issue.type === 'name-clash');
+    assert.deepEqual(clash.entries.map(entry => entry.rowNumber), [2, 3]);
+    assert.deepEqual(clash.actions, ['rename-all']);
+  });
+
+  test('renames every submission of the later namesakes', () => {
+    const roster = report();
+    roster.apply(roster.issues.find(issue => issue.type === 'name-clash'), 'rename-all');
+
+    assert.deepEqual(roster.finalRows().map(row => row[1]), ["alex", "alex (2)", "alex (2)", "bo"]);
+    assert.deepEqual(roster.issues.map(issue => issue.type), ['duplicate']);
+  });
+
+  test('skips numbers another entrant already goes by', () => {
+    const taken = [...rows, ["1/2/2025 10:20:00", "alex (2)", "r", "r"]];
+    const roster = new RosterReport({ rows: taken, ruleSet: RULE_SETS.rps, detailsOf: row => ({ id: ids.get(row) || "x@x", team: null }) });
+    roster.resolveNameClashes();
+
+    assert.deepEqual(roster.finalRows().map(row => row[1]), ["alex", "alex (3)", "alex (3)", "bo", "alex (2)"]);
+    assert.ok(!roster.issues.some(issue => issue.type === 'name-clash'));
+  });
+});